@@ -26,10 +26,24 @@ def sendTransaction(data):
     return tx
 
 
+def releaseClaimed():
+    # there is only one sender, so operations that are still claimed when a
+    # round starts were left behind by a round that failed or a sender that
+    # died before marking them as sent. sending them again is safe as apply
+    # rejects the operations that are applied before
+    db.aql.execute('''
+        FOR o IN operations
+            FILTER o.state == 'sending'
+            UPDATE o WITH { state: 'init' } IN operations
+        ''')
+
+
 def main():
+    releaseClaimed()
     operations = []
     hashes = []
-    ignore = ['_id', '_rev', 'state', '_key', 'hash']
+    ignore = ['_id', '_rev', 'state', '_key', 'hash', 'stateHistory',
+              'sender']
     for op in db.collection('operations').find({'state': 'init'}):
         d = {k: op[k] for k in op if k not in ignore}
         if len(json.dumps(operations)) + len(json.dumps(d)) > config.MAX_DATA_SIZE:
@@ -41,17 +55,31 @@ def main():
     if not operations:
         return
 
+    # claim the operations before sending them to not let them be cancelled
+    claimed = set(db.aql.execute('''
+        FOR o IN operations
+            FILTER o._key IN @hashes AND o.state == 'init'
+            UPDATE o WITH { state: 'sending' } IN operations
+            RETURN NEW._key
+        ''', bind_vars={'hashes': hashes}))
+    operations = [d for h, d in zip(hashes, operations) if h in claimed]
+    hashes = [h for h in hashes if h in claimed]
+    if not operations:
+        return
+
     data = json.dumps(operations).encode('utf-8')
     data = '0x' + binascii.hexlify(data).decode('utf-8')
     transaction_hash = sendTransaction(data)
-    for i, op in enumerate(operations):
-        db.collection('operations').update(
-            {
-                '_key': hashes[i],
-                'state': 'sent',
-                'transactionHash': transaction_hash
-            }, merge=True
-        )
+    db.aql.execute('''
+        FOR o IN operations
+            FILTER o._key IN @hashes AND o.state == 'sending'
+            UPDATE o WITH {
+                state: 'sent',
+                transactionHash: @transaction_hash,
+                stateHistory: PUSH(
+                    o.stateHistory || [], { state: 'sent', timestamp: DATE_NOW() })
+            } IN operations
+        ''', bind_vars={'hashes': hashes, 'transaction_hash': transaction_hash})
 
 
 def wait():
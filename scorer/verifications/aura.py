@@ -177,19 +177,21 @@ def verify(block):
         "allowedRatings": ALLOWED_RATINGS_PER_CUTOFF,
     })
 
-    # Transfer the aura collection from snapshot to _system
+    # Transfer the aura, energy and energyFlow collections from snapshot to _system
+    # to be served by the Foxx service
 
     result = os.system(
         f'arangodump --overwrite true --compress-output false --server.password ""'
         f' --server.endpoint "tcp://{config.BN_ARANGO_HOST}:{config.BN_ARANGO_PORT}"'
-        f' --output-directory {AURA_SNAPSHOT_DIR} --server.database snapshot --collection aura'
+        f' --output-directory {AURA_SNAPSHOT_DIR} --server.database snapshot'
+        f' --collection aura --collection energy --collection energyFlow'
     )
-    assert result == 0, "Aura: dumping aura collection failed."
+    assert result == 0, "Aura: dumping aura collections failed."
     result = os.system(
         f'arangorestore --server.username "root" --server.password "" --server.endpoint'
         f' "tcp://{config.BN_ARANGO_HOST}:{config.BN_ARANGO_PORT}" --input-directory {AURA_SNAPSHOT_DIR}'
     )
-    assert result == 0, "Aura: restoring aura collection failed."
+    assert result == 0, "Aura: restoring aura collections failed."
 
     # Write the verifications
 
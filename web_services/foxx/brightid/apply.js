@@ -20,6 +20,8 @@ const handlers = {
       if (operationsHashesColl.exists(op.hash)) {
         throw new errors.OperationAppliedBeforeError(op.hash);
       }
+      // delayed recoveries take effect before the operations of this block
+      db.executeDelayedRecoveries(op.blockTime);
       operations.verify(op);
       op.result = operations.apply(op);
       op.state = "applied";
@@ -37,7 +39,7 @@ const handlers = {
         arangoErrorNum: e.arangoErrorNum,
       };
     }
-    db.upsertOperation(op);
+    db.upsertOperation(op, operations.getSender(op));
     res.send({ success: true, state: op.state, result: op.result });
   },
 };
@@ -16,6 +16,7 @@ const connectionsColl = db._collection("connections");
 const connectionsHistoryColl = db._collection("connectionsHistory");
 const groupsColl = db._collection("groups");
 const usersInGroupsColl = db._collection("usersInGroups");
+const usersInGroupsHistoryColl = db._collection("usersInGroupsHistory");
 const usersColl = db._collection("users");
 const appsColl = db._collection("apps");
 const sponsorshipsColl = db._collection("sponsorships");
@@ -25,6 +26,44 @@ const verificationsColl = db._collection("verifications");
 const variablesColl = db._collection("variables");
 const cachedParamsColl = db._collection("cachedParams");
 const appIdsColl = db._collection("appIds");
+const honestyColl = db._collection("honesty");
+const honestyHistoryColl = db._collection("honestyHistory");
+const energyAllocationColl = db._collection("energyAllocation");
+const energyColl = db._collection("energy");
+const energyFlowColl = db._collection("energyFlow");
+const recoveriesColl = db._collection("recoveries");
+
+// should be kept in sync with RATING_CUTOFF_HOURS and
+// ALLOWED_RATINGS_PER_CUTOFF in scorer/verifications/aura.py
+const RATING_CUTOFF_HOURS = 72;
+const ALLOWED_RATINGS_PER_CUTOFF = 18;
+
+// invites expire after 72 hours unless the group sets its own inviteLifetime
+const DEFAULT_INVITE_LIFETIME = 72 * 60 * 60 * 1000;
+// invites of a user are listed for 24 hours by default
+const DEFAULT_USER_INVITE_LIFETIME = 24 * 60 * 60 * 1000;
+
+// time after which an increased recovery delay takes effect
+const RECOVERY_DELAY_LOCK = 7 * 24 * 60 * 60 * 1000;
+
+// group fields that admins can change by "Update Group"
+const GROUP_UPDATABLE_FIELDS = [
+  "url",
+  "nameHash",
+  "region",
+  "descriptionHash",
+  "joinPolicy",
+];
+const DEFAULT_JOIN_POLICY = "invite-only";
+
+// connection levels from the lowest to the highest confidence
+const CONNECTION_LEVELS = [
+  "reported",
+  "suspicious",
+  "just met",
+  "already known",
+  "recovery",
+];
 
 function connect(op) {
   let {
@@ -136,6 +175,373 @@ function userConnections(userId, direction = "outbound") {
     });
 }
 
+function encodeCursor(doc) {
+  const cursor = JSON.stringify({ timestamp: doc.timestamp, key: doc._key });
+  return Buffer.from(cursor).toString("base64");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { timestamp, key } = JSON.parse(
+      Buffer.from(cursor, "base64").toString()
+    );
+    if (typeof key != "string") {
+      throw new Error();
+    }
+    return { timestamp, key };
+  } catch (e) {
+    throw new errors.InvalidCursorError(cursor);
+  }
+}
+
+function listConnections(userId, direction, options) {
+  checkUserExists(userId);
+  const { levels, from, to, sort, limit, cursor } = options;
+  const [idAttr, resIdAttr] =
+    direction == "outbound" ? ["_from", "_to"] : ["_to", "_from"];
+  const filters = [aql`FILTER conn[${idAttr}] == ${"users/" + userId}`];
+  if (levels) {
+    filters.push(aql`FILTER conn.level IN ${levels}`);
+  }
+  if (from) {
+    filters.push(aql`FILTER conn.timestamp >= ${from}`);
+  }
+  if (to) {
+    filters.push(aql`FILTER conn.timestamp <= ${to}`);
+  }
+  if (cursor) {
+    // continue after the last connection of the previous page
+    const { timestamp, key } = decodeCursor(cursor);
+    const op = sort == "desc" ? "<" : ">";
+    filters.push(
+      aql`FILTER conn.timestamp ${aql.literal(op)} ${timestamp}
+        OR (conn.timestamp == ${timestamp} AND conn._key ${aql.literal(
+        op
+      )} ${key})`
+    );
+  }
+  const order = aql.literal(sort == "desc" ? "DESC" : "ASC");
+  // fetch one more connection to know if there is a next page
+  const limitClause = limit ? aql`LIMIT ${limit + 1}` : aql``;
+  let conns = db
+    ._query(
+      aql`
+        FOR conn IN ${connectionsColl}
+          ${aql.join(filters)}
+          SORT conn.timestamp ${order}, conn._key ${order}
+          ${limitClause}
+          RETURN conn
+      `
+    )
+    .toArray();
+  let next = null;
+  if (limit && conns.length > limit) {
+    conns = conns.slice(0, limit);
+    next = encodeCursor(conns[limit - 1]);
+  }
+  return {
+    connections: conns.map((conn) => {
+      return {
+        id: conn[resIdAttr].replace("users/", ""),
+        level: conn.level,
+        reportReason: conn.reportReason,
+        timestamp: conn.timestamp,
+      };
+    }),
+    next,
+  };
+}
+
+function connectionHistory(userId, otherId) {
+  checkUserExists(userId);
+  checkUserExists(otherId);
+  const u1 = "users/" + userId;
+  const u2 = "users/" + otherId;
+  return query`
+    FOR c IN ${connectionsHistoryColl}
+      FILTER (c._from == ${u1} AND c._to == ${u2})
+      OR (c._from == ${u2} AND c._to == ${u1})
+      SORT c.timestamp ASC
+      RETURN c
+  `
+    .toArray()
+    .map((c) => {
+      return {
+        from: c._from.replace("users/", ""),
+        to: c._to.replace("users/", ""),
+        level: c.level,
+        reportReason: c.reportReason,
+        replacedWith: c.replacedWith,
+        timestamp: c.timestamp,
+      };
+    });
+}
+
+function levelsAtLeast(minLevel) {
+  return CONNECTION_LEVELS.slice(CONNECTION_LEVELS.indexOf(minLevel));
+}
+
+function connectionPath(userId, otherId, minLevel, maxDepth) {
+  checkUserExists(userId);
+  checkUserExists(otherId);
+  if (userId == otherId) {
+    return { path: [userId], levels: [] };
+  }
+  // breadth-first search only follows connections with the accepted levels,
+  // so the first path that reaches the other user is a shortest one
+  const path = query`
+    FOR v, e, p IN 1..${maxDepth} OUTBOUND ${
+    "users/" + userId
+  } ${connectionsColl}
+      OPTIONS { bfs: true, uniqueVertices: "global" }
+      FILTER p.edges[*].level ALL IN ${levelsAtLeast(minLevel)}
+      FILTER v._key == ${otherId}
+      LIMIT 1
+      RETURN p
+  `.toArray()[0];
+  if (!path) {
+    return { path: null, levels: null };
+  }
+  return {
+    path: path.vertices.map((v) => v._key),
+    levels: path.edges.map((e) => e.level),
+  };
+}
+
+function userNeighborhood(userId, depth, minLevel, maxNodes) {
+  checkUserExists(userId);
+  const levels = levelsAtLeast(minLevel);
+  const known = knownConnections(userId);
+  // breadth-first search visits each user at its lowest depth and stops
+  // one user after the limit to detect neighborhoods that are too large
+  const visited = query`
+    FOR v, e, p IN 1..${depth} OUTBOUND ${"users/" + userId} ${connectionsColl}
+      OPTIONS { bfs: true, uniqueVertices: "global" }
+      FILTER p.edges[*].level ALL IN ${levels}
+      LIMIT ${maxNodes}
+      RETURN { id: v._key, depth: LENGTH(p.edges) }
+  `.toArray();
+  if (visited.length + 1 > maxNodes) {
+    throw new errors.NeighborhoodTooLargeError(userId, maxNodes);
+  }
+  const depths = { [userId]: 0 };
+  for (const v of visited) {
+    depths[v.id] = v.depth;
+  }
+  const ids = Object.keys(depths).map((id) => "users/" + id);
+  const edges = query`
+    FOR id IN ${ids}
+      FOR conn IN ${connectionsColl}
+        FILTER conn._from == id
+        AND conn._to IN ${ids}
+        AND conn.level IN ${levels}
+        RETURN conn
+  `
+    .toArray()
+    .map((conn) => {
+      return {
+        from: conn._from.replace("users/", ""),
+        to: conn._to.replace("users/", ""),
+        level: conn.level,
+        timestamp: conn.timestamp,
+      };
+    });
+  const nodes = Object.keys(depths).map((id) => {
+    return { id, depth: depths[id], known: known.includes(id) };
+  });
+  return { nodes, edges };
+}
+
+function reportedUsers(since, minReporters, offset, limit) {
+  // only the reporters of the users in the requested page are checked
+  // for verification
+  const reported = query`
+    FOR conn IN ${connectionsColl}
+      FILTER conn.level == "reported" AND conn.timestamp >= ${since}
+      COLLECT to = conn._to INTO conns = conn
+      LET reporters = LENGTH(conns)
+      FILTER reporters >= ${minReporters}
+      SORT reporters DESC, MAX(conns[*].timestamp) DESC
+      LIMIT ${offset}, ${limit}
+      RETURN { to, conns }
+  `.toArray();
+  const isVerified = _.memoize((id) =>
+    userVerifications(id).some((v) => v.name == "BrightID")
+  );
+  const summarize = (conns) => {
+    const reporters = conns.map((c) => c._from.replace("users/", ""));
+    return {
+      reporters: reporters.length,
+      verifiedReporters: reporters.filter(isVerified).length,
+    };
+  };
+  return reported.map(({ to, conns }) => {
+    const reasons = Object.entries(
+      _.groupBy(conns, (c) => c.reportReason || "other")
+    ).map(([reason, conns]) => Object.assign({ reason }, summarize(conns)));
+    const replacedWith = Object.entries(
+      _.groupBy(
+        conns.filter((c) => c.replacedWith),
+        "replacedWith"
+      )
+    ).map(([id, conns]) => Object.assign({ id }, summarize(conns)));
+    return Object.assign(
+      {
+        id: to.replace("users/", ""),
+        lastReported: _.max(conns.map((c) => c.timestamp)),
+        reasons,
+        replacedWith,
+      },
+      summarize(conns)
+    );
+  });
+}
+
+function replacementCandidates(userId) {
+  return query`
+    FOR conn IN ${connectionsColl}
+      FILTER conn._to == ${"users/" + userId}
+      AND conn.level == "reported"
+      AND conn.reportReason == "replaced"
+      AND conn.replacedWith != null
+      COLLECT id = conn.replacedWith WITH COUNT INTO reporters
+      SORT reporters DESC, id ASC
+      RETURN { id, reporters }
+  `.toArray();
+}
+
+function userReplacement(userId) {
+  checkUserExists(userId);
+  const chain = [];
+  const visited = [userId];
+  let current = userId;
+  let cycle = null;
+  while (true) {
+    // follow the account asserted by the most distinct reporters
+    const candidates = replacementCandidates(current);
+    if (candidates.length == 0) {
+      break;
+    }
+    const { id, reporters } = candidates[0];
+    chain.push({
+      id: current,
+      replacedWith: id,
+      reporters,
+      alternatives: candidates.slice(1),
+    });
+    if (visited.includes(id)) {
+      cycle = visited.slice(visited.indexOf(id));
+      break;
+    }
+    visited.push(id);
+    current = id;
+  }
+  return {
+    replacement: chain.length > 0 && !cycle ? current : null,
+    confidence:
+      chain.length > 0 ? _.min(chain.map((link) => link.reporters)) : 0,
+    chain,
+    cycle,
+  };
+}
+
+function groupHistory(groupId) {
+  const history = query`
+    FOR h IN ${usersInGroupsHistoryColl}
+      FILTER h._to == ${"groups/" + groupId}
+      SORT h.timestamp ASC
+      RETURN h
+  `.toArray();
+  // the history of deleted groups is kept
+  if (history.length == 0) {
+    getGroup(groupId);
+  }
+  return history.map((h) => {
+    return {
+      user: h._from.replace("users/", ""),
+      action: h.action,
+      by: h.by,
+      timestamp: h.timestamp,
+    };
+  });
+}
+
+function listGroups(filters, offset, limit) {
+  const { type, seed, region, minMembers } = filters;
+  const conditions = [];
+  // positive conditions to use the type and seed indexes, as groups
+  // without type are general and groups without seed are not seed
+  if (type == "family") {
+    conditions.push(aql`FILTER g.type == "family"`);
+  } else if (type == "general") {
+    conditions.push(aql`FILTER g.type IN [null, "general"]`);
+  }
+  if (seed !== undefined) {
+    conditions.push(
+      seed ? aql`FILTER g.seed == true` : aql`FILTER g.seed IN [null, false]`
+    );
+  }
+  if (region) {
+    conditions.push(aql`FILTER g.region == ${region}`);
+  }
+  if (minMembers) {
+    // stop counting members of each group as soon as the minimum is reached
+    conditions.push(aql`
+      FILTER LENGTH(
+        FOR ug IN ${usersInGroupsColl}
+          FILTER ug._to == g._id
+          LIMIT ${minMembers}
+          RETURN 1
+      ) >= ${minMembers}
+    `);
+  }
+  return db
+    ._query(
+      aql`
+        FOR g IN ${groupsColl}
+          ${aql.join(conditions)}
+          SORT g.timestamp DESC
+          LIMIT ${offset}, ${limit}
+          LET membersNum = LENGTH(
+            FOR ug IN ${usersInGroupsColl}
+              FILTER ug._to == g._id
+              RETURN 1
+          )
+          RETURN MERGE(g, { membersNum })
+      `
+    )
+    .toArray()
+    .map((group) => {
+      return {
+        id: group._key,
+        type: group.type || "general",
+        seed: group.seed || false,
+        region: group.region,
+        url: group.url,
+        membersNum: group.membersNum,
+        timestamp: group.timestamp,
+      };
+    });
+}
+
+function listGroupMembers(groupId, offset, limit) {
+  getGroup(groupId);
+  return query`
+    FOR ug IN ${usersInGroupsColl}
+      FILTER ug._to == ${"groups/" + groupId}
+      SORT ug.timestamp ASC
+      LIMIT ${offset}, ${limit}
+      RETURN ug
+  `
+    .toArray()
+    .map((ug) => {
+      return {
+        id: ug._from.replace("users/", ""),
+        timestamp: ug.timestamp,
+      };
+    });
+}
+
 function groupMembers(groupId) {
   return usersInGroupsColl
     .byExample({
@@ -160,15 +566,38 @@ function userMemberships(userId) {
     });
 }
 
+function groupInviteLifetime(group, defaultLifetime = DEFAULT_INVITE_LIFETIME) {
+  return group.inviteLifetime || defaultLifetime;
+}
+
+function inviteExpiresAt(group, invite, defaultLifetime) {
+  return invite.timestamp + groupInviteLifetime(group, defaultLifetime);
+}
+
+function inviteState(group, invite, time, defaultLifetime) {
+  if (invite.revoked) {
+    return "revoked";
+  }
+  const expiresAt = inviteExpiresAt(group, invite, defaultLifetime);
+  return time < expiresAt ? "pending" : "expired";
+}
+
 function userInvites(userId) {
   checkUserExists(userId);
+  const now = Date.now();
   return invitationsColl
     .byExample({
       _from: "users/" + userId,
     })
     .toArray()
     .filter((invite) => {
-      return Date.now() - invite.timestamp < 86400000;
+      // skip invites to groups that do not exist anymore
+      if (!groupsColl.exists(invite._to)) {
+        return false;
+      }
+      const group = groupsColl.document(invite._to);
+      const lifetime = DEFAULT_USER_INVITE_LIFETIME;
+      return inviteState(group, invite, now, lifetime) == "pending";
     })
     .map((invite) => {
       const groupId = invite._to.replace("groups/", "");
@@ -206,12 +635,37 @@ function invite(inviter, invitee, groupId, data, timestamp) {
   });
 }
 
+function revokeInvite(revoker, invitee, groupId, reason, timestamp) {
+  const group = getGroup(groupId);
+  if (!group.admins || !group.admins.includes(revoker)) {
+    throw new errors.NotAdminError();
+  }
+  const invite = invitationsColl.firstExample({
+    _from: "users/" + invitee,
+    _to: "groups/" + groupId,
+  });
+  if (!invite || inviteState(group, invite, timestamp) != "pending") {
+    throw new errors.InviteNotFoundError(invitee, groupId);
+  }
+  invitationsColl.update(invite, {
+    revoked: { by: revoker, reason, timestamp },
+  });
+}
+
+function setInviteLifetime(admin, groupId, inviteLifetime) {
+  const group = getGroup(groupId);
+  if (!group.admins || !group.admins.includes(admin)) {
+    throw new errors.NotAdminError();
+  }
+  groupsColl.update(group, { inviteLifetime });
+}
+
 function dismiss(dismisser, dismissee, groupId, timestamp) {
   const group = getGroup(groupId);
   if (!group.admins || !group.admins.includes(dismisser)) {
     throw new errors.NotAdminError();
   }
-  deleteMembership(groupId, dismissee, timestamp);
+  deleteMembership(groupId, dismissee, timestamp, dismisser);
 }
 
 function getUser(id) {
@@ -224,8 +678,10 @@ const checkUserExists = getUser;
 
 function createUser(key, timestamp) {
   if (!usersColl.exists(key)) {
+    const signingKey = urlSafeB64ToB64(key);
     return usersColl.insert({
-      signingKeys: [urlSafeB64ToB64(key)],
+      signingKeys: [signingKey],
+      signingKeysInfo: { [signingKey]: { addedAt: timestamp } },
       createdAt: timestamp,
       _key: key,
     });
@@ -272,7 +728,7 @@ function createGroup(groupId, key, url, type, timestamp) {
   addUserToGroup(groupId, key, timestamp);
 }
 
-function addAdmin(key, admin, groupId) {
+function addAdmin(key, admin, groupId, timestamp) {
   const group = getGroup(groupId);
   if (!group.admins || !group.admins.includes(key)) {
     throw new errors.NotAdminError();
@@ -287,6 +743,34 @@ function addAdmin(key, admin, groupId) {
   }
   group.admins.push(admin);
   groupsColl.update(group, { admins: group.admins });
+  recordMembershipChange(groupId, admin, "admin", key, timestamp);
+}
+
+function recordMembershipChange(groupId, key, action, by, timestamp) {
+  usersInGroupsHistoryColl.insert({
+    _from: "users/" + key,
+    _to: "groups/" + groupId,
+    action,
+    by,
+    timestamp,
+  });
+}
+
+function removeAdmin(key, admin, groupId, timestamp) {
+  const group = getGroup(groupId);
+  if (!group.admins || !group.admins.includes(key)) {
+    throw new errors.NotAdminError();
+  }
+  if (!group.admins.includes(admin)) {
+    throw new errors.NotGroupAdminError(admin, groupId);
+  }
+  const admins = group.admins.filter((a) => a != admin);
+  if (admins.length == 0) {
+    throw new errors.LastAdminError(groupId);
+  }
+  groupsColl.update(group, { admins });
+  const action = key == admin ? "resign admin" : "remove admin";
+  recordMembershipChange(groupId, admin, action, key, timestamp);
 }
 
 function addUserToGroup(groupId, key, timestamp) {
@@ -299,6 +783,7 @@ function addUserToGroup(groupId, key, timestamp) {
   } else {
     usersInGroupsColl.update(edge, { timestamp });
   }
+  recordMembershipChange(groupId, key, "join", key, timestamp);
   // empty the group's vouchers after family group member changes
   const group = groupsColl.document(groupId);
   if (group.type == "family") {
@@ -339,9 +824,14 @@ function addMembership(groupId, key, timestamp) {
     _from: "users/" + key,
     _to: "groups/" + groupId,
   });
-  // invites will expire after 72 hours
-  if (!invite || timestamp - invite.timestamp >= 259200000) {
-    throw new errors.NotInvitedError();
+  if (!invite || inviteState(group, invite, timestamp) != "pending") {
+    // users without invite can only ask the admins of request-to-join
+    // groups to invite them
+    if (groupJoinPolicy(group) != "request-to-join") {
+      throw new errors.NotInvitedError();
+    }
+    requestToJoin(group, key, timestamp);
+    return;
   }
   // remove invite after joining to not allow reusing that
   invitationsColl.remove(invite);
@@ -349,21 +839,41 @@ function addMembership(groupId, key, timestamp) {
   if (group.type == "family") {
     checkJoiningFamily(groupId, key);
   }
+  if (group.joinRequests) {
+    groupsColl.update(groupId, {
+      joinRequests: group.joinRequests.filter((r) => r.id != key),
+    });
+  }
   addUserToGroup(groupId, key, timestamp);
 }
 
+function groupJoinPolicy(group) {
+  return group.joinPolicy || DEFAULT_JOIN_POLICY;
+}
+
+function requestToJoin(group, key, timestamp) {
+  const joinRequests = (group.joinRequests || []).filter((r) => r.id != key);
+  joinRequests.push({ id: key, timestamp });
+  groupsColl.update(group, { joinRequests });
+  recordMembershipChange(group._key, key, "request to join", key, timestamp);
+}
+
 function deleteGroup(groupId, key, timestamp) {
   const group = getGroup(groupId);
   if (group.admins.indexOf(key) < 0) {
     throw new errors.NotAdminError();
   }
 
+  // keep the removal of the remaining members in the membership history
+  for (const member of groupMembers(groupId)) {
+    recordMembershipChange(groupId, member, "group deleted", key, timestamp);
+  }
   invitationsColl.removeByExample({ _to: "groups/" + groupId });
   usersInGroupsColl.removeByExample({ _to: "groups/" + groupId });
   groupsColl.remove(group);
 }
 
-function deleteMembership(groupId, key, timestamp) {
+function deleteMembership(groupId, key, timestamp, dismisser) {
   const group = getGroup(groupId);
   if (group.admins && group.admins.includes(key)) {
     const admins = group.admins.filter((admin) => key != admin);
@@ -372,11 +882,19 @@ function deleteMembership(groupId, key, timestamp) {
       throw new errors.LeaveGroupError();
     }
     groupsColl.update(group, { admins });
+    // keep the admin grant matched by a removal in the membership history
+    const by = dismisser || key;
+    recordMembershipChange(groupId, key, "remove admin", by, timestamp);
   }
   usersInGroupsColl.removeByExample({
     _from: "users/" + key,
     _to: "groups/" + groupId,
   });
+  if (dismisser) {
+    recordMembershipChange(groupId, key, "dismiss", dismisser, timestamp);
+  } else {
+    recordMembershipChange(groupId, key, "leave", key, timestamp);
+  }
   // empty the group's vouchers after family group member changes
   if (group.type == "family") {
     if (group.head == key) {
@@ -614,10 +1132,15 @@ function getRecoveryConnections(userId) {
 }
 
 function setSigningKey(signingKey, key, timestamp) {
-  usersColl.update(key, {
-    signingKeys: [signingKey],
-    updateTime: timestamp,
-  });
+  usersColl.update(
+    key,
+    {
+      signingKeys: [signingKey],
+      signingKeysInfo: { [signingKey]: { addedAt: timestamp } },
+      updateTime: timestamp,
+    },
+    { mergeObjects: false }
+  );
 
   // remove pending invites, because they can not be decrypted anymore by the new signing key
   invitationsColl.removeByExample({
@@ -625,6 +1148,86 @@ function setSigningKey(signingKey, key, timestamp) {
   });
 }
 
+function getRecoveryDelay(user, time) {
+  if (user.nextRecoveryDelay != null && user.recoveryDelaySetAfter <= time) {
+    return user.nextRecoveryDelay;
+  }
+  return user.recoveryDelay || 0;
+}
+
+function dueRecovery(user, time) {
+  // delayed recoveries are executed before the next applied operation, so a
+  // due recovery may not be executed yet when no operation is applied since
+  const { delayedRecovery } = user;
+  if (delayedRecovery && delayedRecovery.executeAfter <= time) {
+    return delayedRecovery;
+  }
+  return null;
+}
+
+function currentSigningKeys(user, time) {
+  const recovery = dueRecovery(user, time);
+  return recovery ? [recovery.signingKey] : user.signingKeys || [];
+}
+
+function recover(userId, signingKey, timestamp) {
+  const recoveryDelay = getRecoveryDelay(getUser(userId), timestamp);
+  if (!recoveryDelay) {
+    return setSigningKey(signingKey, userId, timestamp);
+  }
+  // the new signing key replaces the current ones after the recovery delay
+  // unless the recovery is vetoed by a current signing key
+  usersColl.update(userId, {
+    delayedRecovery: {
+      signingKey,
+      timestamp,
+      executeAfter: timestamp + recoveryDelay,
+    },
+  });
+}
+
+function executeDelayedRecoveries(time) {
+  const users = query`
+    FOR u IN ${usersColl}
+      FILTER u.delayedRecovery.executeAfter != null
+      AND u.delayedRecovery.executeAfter <= ${time}
+      RETURN u
+  `.toArray();
+  for (const user of users) {
+    const { signingKey, executeAfter } = user.delayedRecovery;
+    setSigningKey(signingKey, user._key, executeAfter);
+    usersColl.update(user._key, { delayedRecovery: null });
+  }
+}
+
+function vetoRecovery(userId) {
+  const { delayedRecovery } = getUser(userId);
+  if (!delayedRecovery) {
+    throw new errors.RecoveryNotFoundError(userId);
+  }
+  usersColl.update(userId, { delayedRecovery: null });
+}
+
+function setRecoveryDelay(userId, recoveryDelay, timestamp) {
+  const user = getUser(userId);
+  const currentDelay = getRecoveryDelay(user, timestamp);
+  if (recoveryDelay > currentDelay) {
+    // increasing the delay takes effect after a week to not let an attacker
+    // with a stolen signing key set a long delay and veto all recoveries
+    usersColl.update(userId, {
+      recoveryDelay: currentDelay,
+      nextRecoveryDelay: recoveryDelay,
+      recoveryDelaySetAfter: timestamp + RECOVERY_DELAY_LOCK,
+    });
+  } else {
+    usersColl.update(userId, {
+      recoveryDelay,
+      nextRecoveryDelay: null,
+      recoveryDelaySetAfter: null,
+    });
+  }
+}
+
 function getSponsorship(appUserId) {
   const sponsorship = sponsorshipsColl.firstExample({ appId: appUserId });
   if (!sponsorship) {
@@ -696,15 +1299,71 @@ function loadOperation(key) {
   return query`RETURN DOCUMENT(${operationsColl}, ${key})`.toArray()[0];
 }
 
-function upsertOperation(op) {
+function upsertOperation(op, sender) {
+  const transition = { state: op.state, timestamp: Date.now() };
+  // the sender is stored to list the operations of users by an index
+  op.sender = sender;
   if (!operationsColl.exists(op.hash)) {
     op._key = op.hash;
+    op.stateHistory = [transition];
     operationsColl.insert(op);
   } else {
+    // keep the timestamped state transitions of the operation
+    const { stateHistory = [] } = operationsColl.document(op.hash);
+    op.stateHistory = stateHistory.concat([transition]);
     operationsColl.replace(op.hash, op);
   }
 }
 
+function cancelOperation(hash) {
+  // the state is checked in the same query to not cancel operations that
+  // the sender claimed in between
+  return query`
+    FOR o IN ${operationsColl}
+      FILTER o._key == ${hash} AND o.state == "init"
+      UPDATE o WITH {
+        state: "cancelled",
+        stateHistory: PUSH(
+          o.stateHistory || [],
+          { state: "cancelled", timestamp: DATE_NOW() }
+        )
+      } IN ${operationsColl}
+      RETURN NEW
+  `.toArray()[0];
+}
+
+function userOperations(userId, name, state, offset, limit) {
+  checkUserExists(userId);
+  const filters = [aql`FILTER o.sender == ${userId}`];
+  if (name) {
+    filters.push(aql`FILTER o.name == ${name}`);
+  }
+  if (state) {
+    filters.push(aql`FILTER o.state == ${state}`);
+  }
+  return db
+    ._query(
+      aql`
+        FOR o IN ${operationsColl}
+          ${aql.join(filters)}
+          SORT o.timestamp DESC
+          LIMIT ${offset}, ${limit}
+          RETURN o
+      `
+    )
+    .toArray()
+    .map((o) => {
+      return {
+        hash: o.hash,
+        name: o.name,
+        state: o.state,
+        result: o.result,
+        timestamp: o.timestamp,
+        stateHistory: o.stateHistory || [],
+      };
+    });
+}
+
 function insertAppUserIdVerification(
   app,
   uid,
@@ -784,14 +1443,15 @@ function getGroup(groupId) {
 }
 
 function groupInvites(groupId) {
+  const group = getGroup(groupId);
+  const now = Date.now();
   return invitationsColl
     .byExample({
       _to: "groups/" + groupId,
     })
     .toArray()
     .filter((invite) => {
-      // invites will expire after 72 hours
-      return Date.now() - invite.timestamp < 259200000;
+      return inviteState(group, invite, now) == "pending";
     })
     .map((invite) => {
       const invitee = invite._from.replace("users/", "");
@@ -806,35 +1466,125 @@ function groupInvites(groupId) {
     });
 }
 
-function updateGroup(admin, groupId, url, timestamp) {
+function listGroupInvites(groupId) {
+  const group = getGroup(groupId);
+  const now = Date.now();
+  return invitationsColl
+    .byExample({
+      _to: "groups/" + groupId,
+    })
+    .toArray()
+    .sort((i1, i2) => i2.timestamp - i1.timestamp)
+    .map((invite) => {
+      const invitee = invite._from.replace("users/", "");
+      const state = inviteState(group, invite, now);
+      const res = {
+        id: hash(groupId + invite.inviter + invitee + invite.timestamp),
+        inviter: invite.inviter,
+        invitee,
+        timestamp: invite.timestamp,
+        expiresAt: inviteExpiresAt(group, invite),
+        state,
+      };
+      if (state == "revoked") {
+        res.revokedBy = invite.revoked.by;
+        res.revokedAt = invite.revoked.timestamp;
+        res.reason = invite.revoked.reason || "revoked by an admin";
+      } else if (state == "expired") {
+        res.reason = "not accepted within the invite lifetime of the group";
+      }
+      return res;
+    });
+}
+
+function updateGroup(admin, groupId, data, timestamp) {
   const group = getGroup(groupId);
   if (!group.admins || !group.admins.includes(admin)) {
     throw new errors.NotAdminError();
   }
-  groupsColl.update(group, {
-    url,
-    timestamp,
-  });
+  // only the fields that are present in data are changed
+  const fields = _.pick(data, GROUP_UPDATABLE_FIELDS);
+  if (_.isEmpty(fields)) {
+    throw new errors.EmptyGroupUpdateError(groupId);
+  }
+  // the region of seed groups is set by the DAO and used by the scorer
+  if (group.seed && "region" in fields) {
+    throw new errors.SeedGroupRegionError(groupId);
+  }
+  // pending join requests are dropped when the group stops accepting them
+  if (fields.joinPolicy == "invite-only") {
+    fields.joinRequests = [];
+  }
+  groupsColl.update(group, Object.assign(fields, { timestamp }));
 }
 
-function addSigningKey(id, signingKey, timestamp) {
+function addSigningKey(id, signingKey, timestamp, label) {
   const signingKeys = usersColl.document(id).signingKeys || [];
   if (signingKeys.indexOf(signingKey) == -1) {
     signingKeys.push(signingKey);
-    usersColl.update(id, { signingKeys });
+    usersColl.update(id, {
+      signingKeys,
+      signingKeysInfo: { [signingKey]: { label, addedAt: timestamp } },
+    });
   }
 }
 
 function removeSigningKey(id, signingKey) {
-  let signingKeys = usersColl.document(id).signingKeys || [];
+  const user = usersColl.document(id);
+  let signingKeys = user.signingKeys || [];
   signingKeys = signingKeys.filter((s) => s != signingKey);
-  usersColl.update(id, { signingKeys });
+  usersColl.update(
+    id,
+    { signingKeys, signingKeysInfo: _.pick(user.signingKeysInfo, signingKeys) },
+    { mergeObjects: false }
+  );
 }
 
 function removeAllSigningKeys(userId, signingKey) {
-  let signingKeys = usersColl.document(userId).signingKeys || [];
+  const user = usersColl.document(userId);
+  let signingKeys = user.signingKeys || [];
   signingKeys = signingKeys.filter((s) => s == signingKey);
-  usersColl.update(userId, { signingKeys });
+  usersColl.update(
+    userId,
+    { signingKeys, signingKeysInfo: _.pick(user.signingKeysInfo, signingKeys) },
+    { mergeObjects: false }
+  );
+}
+
+function setSigningKeyLastUsed(id, signingKey, timestamp) {
+  const user = usersColl.exists(id) && usersColl.document(id);
+  // the key may be removed by the operation it signed
+  if (!user || !(user.signingKeys || []).includes(signingKey)) {
+    return;
+  }
+  usersColl.update(id, {
+    signingKeysInfo: { [signingKey]: { lastUsed: timestamp } },
+  });
+}
+
+function userSigningKeys(id) {
+  const user = getUser(id);
+  const recovery = dueRecovery(user, Date.now());
+  if (recovery) {
+    return [
+      {
+        signingKey: recovery.signingKey,
+        label: null,
+        addedAt: recovery.executeAfter,
+        lastUsed: null,
+      },
+    ];
+  }
+  const { signingKeys = [], signingKeysInfo = {} } = user;
+  return signingKeys.map((signingKey) => {
+    const info = signingKeysInfo[signingKey] || {};
+    return {
+      signingKey,
+      label: info.label || null,
+      addedAt: info.addedAt || null,
+      lastUsed: info.lastUsed || null,
+    };
+  });
 }
 
 function vouchFamily(userId, groupId, timestamp) {
@@ -1013,6 +1763,177 @@ function isSponsoredByAppUserId(op) {
   return false;
 }
 
+function rate(rater, ratee, honesty, confidence, timestamp) {
+  if (rater == ratee) {
+    throw new errors.ForbiddenRatingError();
+  }
+  checkUserExists(rater);
+  checkUserExists(ratee);
+
+  const _from = "users/" + rater;
+  const _to = "users/" + ratee;
+  // the aura scorer compares "modified" with an ISO 8601 date string
+  const modified = new Date(timestamp).toISOString();
+  const cutoff = new Date(
+    timestamp - RATING_CUTOFF_HOURS * 60 * 60 * 1000
+  ).toISOString();
+  // updating a recent rating of the same ratee does not use the allowance
+  const recentRatings = query`
+    FOR h IN ${honestyColl}
+      FILTER h._from == ${_from}
+      AND h._to != ${_to}
+      AND h.modified > ${cutoff}
+      COLLECT WITH COUNT INTO length
+      RETURN length
+  `.toArray()[0];
+  if (recentRatings >= ALLOWED_RATINGS_PER_CUTOFF) {
+    throw new errors.TooManyRatingsError(
+      rater,
+      ALLOWED_RATINGS_PER_CUTOFF,
+      RATING_CUTOFF_HOURS
+    );
+  }
+
+  honestyHistoryColl.insert({
+    _from,
+    _to,
+    honesty,
+    confidence,
+    timestamp,
+  });
+
+  const rating = honestyColl.firstExample({ _from, _to });
+  if (!rating) {
+    honestyColl.insert({
+      _from,
+      _to,
+      honesty,
+      confidence,
+      timestamp,
+      modified,
+    });
+  } else {
+    honestyColl.update(rating, {
+      honesty,
+      confidence,
+      timestamp,
+      modified,
+    });
+  }
+}
+
+function userRatings(userId) {
+  checkUserExists(userId);
+  return query`
+    FOR h IN ${honestyHistoryColl}
+      FILTER h._from == ${"users/" + userId}
+      OR h._to == ${"users/" + userId}
+      SORT h.timestamp ASC
+      RETURN h
+  `
+    .toArray()
+    .map((h) => {
+      return {
+        rater: h._from.replace("users/", ""),
+        ratee: h._to.replace("users/", ""),
+        honesty: h.honesty,
+        confidence: h.confidence,
+        timestamp: h.timestamp,
+      };
+    });
+}
+
+function setEnergyAllocation(userId, allocations, timestamp) {
+  checkUserExists(userId);
+  const ids = allocations.map((a) => a.id);
+  if (new Set(ids).size != ids.length) {
+    throw new errors.InvalidEnergyAllocationError("duplicate recipients");
+  }
+  const total = _.sumBy(allocations, "allocation");
+  if (total > 100) {
+    throw new errors.InvalidEnergyAllocationError(
+      `allocations sum to ${total} percent`
+    );
+  }
+
+  const _from = "users/" + userId;
+  // energy can not flow to connections that the user does not trust
+  const trustedLevels = levelsAtLeast("just met");
+  for (const id of ids) {
+    const conn = connectionsColl.firstExample({ _from, _to: "users/" + id });
+    if (!conn) {
+      throw new errors.NotConnectedError(userId, id);
+    }
+    if (!trustedLevels.includes(conn.level)) {
+      throw new errors.InvalidEnergyAllocationError(
+        `${id} is a ${conn.level} connection`
+      );
+    }
+  }
+
+  // the new allocation replaces the whole previous allocation of the user
+  energyAllocationColl.removeByExample({ _from });
+  for (const { id, allocation } of allocations) {
+    energyAllocationColl.insert({
+      _from,
+      _to: "users/" + id,
+      allocation,
+      timestamp,
+    });
+  }
+}
+
+function userEnergyAllocation(userId, direction = "outbound") {
+  checkUserExists(userId);
+  let query, resIdAttr;
+  if (direction == "outbound") {
+    query = { _from: "users/" + userId };
+    resIdAttr = "_to";
+  } else if (direction == "inbound") {
+    query = { _to: "users/" + userId };
+    resIdAttr = "_from";
+  }
+  return energyAllocationColl
+    .byExample(query)
+    .toArray()
+    .map((ea) => {
+      return {
+        id: ea[resIdAttr].replace("users/", ""),
+        allocation: ea.allocation,
+        timestamp: ea.timestamp,
+      };
+    });
+}
+
+function userAura(userId, contributorsNum) {
+  const verification = userVerifications(userId).find((v) => v.name == "Aura");
+  const energy = energyColl.exists(userId)
+    ? energyColl.document(userId).energy
+    : 0;
+  // the scorer keeps a few energy flow snapshots per day and
+  // only the most recent one reflects the current energy
+  const contributors = query`
+    LET lastTimestamp = MAX(
+      FOR ef IN ${energyFlowColl}
+        FILTER ef._to == ${"users/" + userId}
+        RETURN ef.timestamp
+    )
+    FOR ef IN ${energyFlowColl}
+      FILTER ef._to == ${"users/" + userId}
+      AND ef.timestamp == lastTimestamp
+      SORT ef.energy DESC
+      LIMIT ${contributorsNum}
+      RETURN { id: SUBSTITUTE(ef._from, "users/", ""), energy: ef.energy }
+  `.toArray();
+  return {
+    level: verification ? verification.level : undefined,
+    score: verification ? verification.score : undefined,
+    block: verification ? verification.block : undefined,
+    energy,
+    contributors,
+  };
+}
+
 function getRequiredRecoveryNum(id) {
   const user = getUser(id);
   if (
@@ -1039,16 +1960,130 @@ function setRequiredRecoveryNum(id, requiredRecoveryNum, timestamp) {
   });
 }
 
+function recoveryExpiresAt(recovery) {
+  const expiration = module.context.configuration.recoveryExpiration * 1000;
+  return recovery.createdAt + expiration;
+}
+
+function pendingRecovery(userId) {
+  if (!recoveriesColl.exists(userId)) {
+    return null;
+  }
+  const recovery = recoveriesColl.document(userId);
+  if (recoveryExpiresAt(recovery) < Date.now()) {
+    recoveriesColl.remove(userId);
+    return null;
+  }
+  return recovery;
+}
+
+function getRecovery(userId) {
+  const recovery = pendingRecovery(userId);
+  if (!recovery) {
+    throw new errors.RecoveryNotFoundError(userId);
+  }
+  return recovery;
+}
+
+function removeRecovery(userId) {
+  if (recoveriesColl.exists(userId)) {
+    recoveriesColl.remove(userId);
+  }
+}
+
+function openRecovery(userId, signingKey, timestamp, signer, sig) {
+  // a pending recovery can not be replaced before it expires to not let
+  // one recovery connection drop the signatures collected by the others
+  const pending = pendingRecovery(userId);
+  if (pending) {
+    if (pending.signingKey != signingKey || pending.timestamp != timestamp) {
+      throw new errors.RecoveryInProgressError(userId);
+    }
+    return addRecoverySignature(userId, signer, sig);
+  }
+  const recovery = {
+    _key: userId,
+    id: userId,
+    signingKey,
+    timestamp,
+    signatures: { [signer]: sig },
+    createdAt: Date.now(),
+  };
+  recoveriesColl.insert(recovery);
+  return recovery;
+}
+
+function addRecoverySignature(userId, signer, sig) {
+  const recovery = getRecovery(userId);
+  recovery.signatures[signer] = sig;
+  recoveriesColl.update(userId, { signatures: recovery.signatures });
+  return recovery;
+}
+
+function lastRecovery(user, time) {
+  // setSigningKey stamps the user when a recovery replaces the signing keys
+  const recovery = dueRecovery(user, time);
+  return recovery ? recovery.executeAfter : user.updateTime || null;
+}
+
+function recoveryStatus(userId) {
+  const requiredRecoveryNum = getRequiredRecoveryNum(userId);
+  const user = getUser(userId);
+  const recoveryConnections = getRecoveryConnections(userId);
+  const recovery = pendingRecovery(userId);
+  const now = Date.now();
+  return {
+    requiredRecoveryNum,
+    nextRequiredRecoveryNum: user.nextRequiredRecoveryNum,
+    requiredRecoveryNumSetAfter: user.requiredRecoveryNumSetAfter,
+    recoveryConnections,
+    eligibleSigners: recoveryConnections
+      .filter((c) => c.activeAfter == 0)
+      .map((c) => c.id),
+    lastRecovery: lastRecovery(user, now),
+    recoveryDelay: getRecoveryDelay(user, now),
+    nextRecoveryDelay: user.nextRecoveryDelay,
+    recoveryDelaySetAfter: user.recoveryDelaySetAfter,
+    // a due recovery is reported as executed
+    delayedRecovery: dueRecovery(user, now)
+      ? null
+      : user.delayedRecovery || null,
+    pending: recovery && {
+      signingKey: recovery.signingKey,
+      timestamp: recovery.timestamp,
+      createdAt: recovery.createdAt,
+      expiresAt: recoveryExpiresAt(recovery),
+      signatures: Object.entries(recovery.signatures).map(([id, sig]) => {
+        return { id, sig };
+      }),
+    },
+  };
+}
+
 module.exports = {
   connect,
   createGroup,
   deleteGroup,
   addAdmin,
+  removeAdmin,
   addMembership,
   deleteMembership,
   invite,
+  revokeInvite,
+  setInviteLifetime,
   dismiss,
   userConnections,
+  listConnections,
+  connectionHistory,
+  connectionPath,
+  userNeighborhood,
+  reportedUsers,
+  userReplacement,
+  getRecovery,
+  openRecovery,
+  addRecoverySignature,
+  removeRecovery,
+  recoveryStatus,
   userMemberships,
   userInvites,
   userVerifications,
@@ -1057,6 +2092,9 @@ module.exports = {
   getUser,
   createUser,
   groupMembers,
+  listGroups,
+  listGroupMembers,
+  groupHistory,
   getApp,
   getApps,
   appToDic,
@@ -1065,15 +2103,27 @@ module.exports = {
   getSponsorship,
   loadOperation,
   upsertOperation,
+  userOperations,
+  cancelOperation,
   insertAppUserIdVerification,
   setSigningKey,
+  recover,
+  executeDelayedRecoveries,
+  vetoRecovery,
+  setRecoveryDelay,
+  currentSigningKeys,
   getState,
   getRecoveryConnections,
   addSigningKey,
   removeSigningKey,
   removeAllSigningKeys,
+  setSigningKeyLastUsed,
+  userSigningKeys,
   getGroup,
   groupInvites,
+  listGroupInvites,
+  groupInviteLifetime,
+  groupJoinPolicy,
   updateGroup,
   getCachedParams,
   vouchFamily,
@@ -1085,4 +2135,9 @@ module.exports = {
   setRequiredRecoveryNum,
   getRequiredRecoveryNum,
   isSponsoredByAppUserId,
+  rate,
+  userRatings,
+  setEnergyAllocation,
+  userEnergyAllocation,
+  userAura,
 };
@@ -57,6 +57,20 @@ const UNSINGABLE_APP_USER_ID = 67;
 const SPONSOR_REQUESTED_RECENTLY = 68;
 const WRONG_NUMBER_OF_SIGNERS = 69;
 const INVALID_NUMBER_OF_SIGNERS = 70;
+const FORBIDDEN_RATING = 71;
+const TOO_MANY_RATINGS = 72;
+const INVALID_ENERGY_ALLOCATION = 73;
+const NOT_CONNECTED = 74;
+const NOT_CANCELLABLE_OPERATION = 75;
+const INVALID_CURSOR = 76;
+const RECOVERY_NOT_FOUND = 77;
+const LAST_ADMIN = 78;
+const NOT_GROUP_ADMIN = 79;
+const INVITE_NOT_FOUND = 80;
+const EMPTY_GROUP_UPDATE = 81;
+const SEED_GROUP_REGION = 82;
+const NEIGHBORHOOD_TOO_LARGE = 83;
+const RECOVERY_IN_PROGRESS = 84;
 
 class BrightIDError extends Error {
   constructor() {
@@ -606,6 +620,135 @@ class InvalidNumberOfSignersError extends ForbiddenError {
   }
 }
 
+class ForbiddenRatingError extends ForbiddenError {
+  constructor() {
+    super();
+    this.errorNum = FORBIDDEN_RATING;
+    this.message = "rating yourself is not allowed.";
+  }
+}
+
+class TooManyRatingsError extends TooManyRequestsError {
+  constructor(rater, limit, hours) {
+    super();
+    this.errorNum = TOO_MANY_RATINGS;
+    this.message = `${rater} can not rate more than ${limit} users in ${hours} hours.`;
+    this.rater = rater;
+    this.limit = limit;
+  }
+}
+
+class InvalidEnergyAllocationError extends BadRequestError {
+  constructor(reason) {
+    super();
+    this.errorNum = INVALID_ENERGY_ALLOCATION;
+    this.message = `Energy allocation is not valid: ${reason}.`;
+  }
+}
+
+class NotConnectedError extends ForbiddenError {
+  constructor(user, other) {
+    super();
+    this.errorNum = NOT_CONNECTED;
+    this.message = `${user} is not connected to ${other}.`;
+    this.user = user;
+    this.other = other;
+  }
+}
+
+class NotCancellableOperationError extends ForbiddenError {
+  constructor(hash, reason) {
+    super();
+    this.errorNum = NOT_CANCELLABLE_OPERATION;
+    this.message = `The operation ${hash} can not be cancelled: ${reason}.`;
+    this.hash = hash;
+  }
+}
+
+class InvalidCursorError extends BadRequestError {
+  constructor(cursor) {
+    super();
+    this.errorNum = INVALID_CURSOR;
+    this.message = `The cursor ${cursor} is not valid.`;
+    this.cursor = cursor;
+  }
+}
+
+class RecoveryNotFoundError extends NotFoundError {
+  constructor(user) {
+    super();
+    this.errorNum = RECOVERY_NOT_FOUND;
+    this.message = `There is no pending recovery for the user ${user}.`;
+    this.user = user;
+  }
+}
+
+class LastAdminError extends ForbiddenError {
+  constructor(group) {
+    super();
+    this.errorNum = LAST_ADMIN;
+    this.message = `The last admin of the group ${group} can not be removed.`;
+    this.group = group;
+  }
+}
+
+class NotGroupAdminError extends ForbiddenError {
+  constructor(user, group) {
+    super();
+    this.errorNum = NOT_GROUP_ADMIN;
+    this.message = `The user ${user} is not an admin of the group ${group}.`;
+    this.user = user;
+    this.group = group;
+  }
+}
+
+class InviteNotFoundError extends NotFoundError {
+  constructor(invitee, group) {
+    super();
+    this.errorNum = INVITE_NOT_FOUND;
+    this.message = `There is no pending invite of the user ${invitee} to the group ${group}.`;
+    this.invitee = invitee;
+    this.group = group;
+  }
+}
+
+class EmptyGroupUpdateError extends BadRequestError {
+  constructor(group) {
+    super();
+    this.errorNum = EMPTY_GROUP_UPDATE;
+    this.message = `The operation does not change any field of the group ${group}.`;
+    this.group = group;
+  }
+}
+
+class SeedGroupRegionError extends ForbiddenError {
+  constructor(group) {
+    super();
+    this.errorNum = SEED_GROUP_REGION;
+    this.message = `The region of the seed group ${group} can not be changed by its admins.`;
+    this.group = group;
+  }
+}
+
+class NeighborhoodTooLargeError extends BadRequestError {
+  constructor(user, maxNodes) {
+    super();
+    this.errorNum = NEIGHBORHOOD_TOO_LARGE;
+    this.message = `The neighborhood of the user ${user} has more than ${maxNodes} users; use a lower depth or a higher minLevel.`;
+    this.user = user;
+    this.maxNodes = maxNodes;
+  }
+}
+
+class RecoveryInProgressError extends ForbiddenError {
+  constructor(user) {
+    super();
+    this.errorNum = RECOVERY_IN_PROGRESS;
+    this.message = `Another recovery of the user ${user} is pending; it can be signed or opened again after it expires.`;
+    this.user = user;
+  }
+}
+
 module.exports = {
   NOT_VERIFIED,
   NOT_SPONSORED,
@@ -665,6 +808,20 @@ module.exports = {
   SPONSOR_REQUESTED_RECENTLY,
   WRONG_NUMBER_OF_SIGNERS,
   INVALID_NUMBER_OF_SIGNERS,
+  FORBIDDEN_RATING,
+  TOO_MANY_RATINGS,
+  INVALID_ENERGY_ALLOCATION,
+  NOT_CONNECTED,
+  NOT_CANCELLABLE_OPERATION,
+  INVALID_CURSOR,
+  RECOVERY_NOT_FOUND,
+  LAST_ADMIN,
+  NOT_GROUP_ADMIN,
+  INVITE_NOT_FOUND,
+  EMPTY_GROUP_UPDATE,
+  SEED_GROUP_REGION,
+  NEIGHBORHOOD_TOO_LARGE,
+  RECOVERY_IN_PROGRESS,
   BrightIDError,
   BadRequestError,
   InternalServerError,
@@ -729,4 +886,18 @@ module.exports = {
   SponsorRequestedRecently,
   WrongNumberOfSignersError,
   InvalidNumberOfSignersError,
+  ForbiddenRatingError,
+  TooManyRatingsError,
+  InvalidEnergyAllocationError,
+  NotConnectedError,
+  NotCancellableOperationError,
+  InvalidCursorError,
+  RecoveryNotFoundError,
+  LastAdminError,
+  NotGroupAdminError,
+  InviteNotFoundError,
+  EmptyGroupUpdateError,
+  SeedGroupRegionError,
+  NeighborhoodTooLargeError,
+  RecoveryInProgressError,
 };
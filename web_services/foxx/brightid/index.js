@@ -35,34 +35,228 @@ const cachedParamsColl = arango._collection("cachedParams");
 const appIdsColl = arango._collection("appIds");
 
 const MAX_OP_SIZE = 2000;
+// collections that applying operations may write to
+const APPLY_COLLECTIONS = [
+  "users",
+  "connections",
+  "connectionsHistory",
+  "groups",
+  "usersInGroups",
+  "usersInGroupsHistory",
+  "invitations",
+  "apps",
+  "sponsorships",
+  "honesty",
+  "honestyHistory",
+  "energyAllocation",
+];
+
+function checkOperation(op) {
+  const message = operations.getMessage(op);
+  op.hash = hash(message);
+  if (operationsHashesColl.exists(op.hash)) {
+    throw new errors.OperationAppliedBeforeError(op.hash);
+  } else if (JSON.stringify(op).length > MAX_OP_SIZE) {
+    throw new errors.TooBigOperationError(MAX_OP_SIZE);
+  }
+
+  // verify signature
+  operations.verify(op);
+
+  // allow limited number of operations to be posted in defined time window
+  const { timeWindow, limit, category } = operations.getLimitConfig(op.name);
+  const charge = operations.checkLimits(op, timeWindow, limit, category);
+  operations.recordCharge(op.hash, charge);
+}
+
+function limitsStatus(bucket, isApp) {
+  const limits = module.context.configuration.operationsLimits || {};
+  const categories = Object.keys(limits)
+    .filter((name) => operations.appOperations.includes(name) == isApp)
+    .map((name) =>
+      Object.assign(
+        { operation: name },
+        operations.getLimitStatus(bucket, name)
+      )
+    );
+  return Object.assign(operations.getLimitStatus(bucket, null, isApp), {
+    categories,
+  });
+}
+
+function addOperation(op) {
+  op.state = "init";
+  db.upsertOperation(op, operations.getSender(op));
+}
+
+function submitRecovery(recovery) {
+  const requiredRecoveryNum = db.getRequiredRecoveryNum(recovery.id);
+  const signers = Object.keys(recovery.signatures);
+  if (signers.length < requiredRecoveryNum) {
+    return null;
+  }
+  const op = operations.getRecoveryOp(
+    recovery.id,
+    recovery.signingKey,
+    recovery.timestamp
+  );
+  signers.slice(0, requiredRecoveryNum).forEach((signer, i) => {
+    op[`id${i + 1}`] = signer;
+    op[`sig${i + 1}`] = recovery.signatures[signer];
+  });
+  checkOperation(op);
+  addOperation(op);
+  db.removeRecovery(recovery.id);
+  return op.hash;
+}
+
+function toGraphML(graph) {
+  const escape = (s) =>
+    String(s).replace(/[<>&"]/g, (c) => `&#${c.charCodeAt(0)};`);
+  const nodes = graph.nodes.map(
+    (n) =>
+      `    <node id="${escape(n.id)}"><data key="depth">${n.depth}</data>` +
+      `<data key="known">${n.known}</data></node>`
+  );
+  const edges = graph.edges.map(
+    (e) =>
+      `    <edge source="${escape(e.from)}" target="${escape(e.to)}">` +
+      `<data key="level">${escape(e.level)}</data>` +
+      `<data key="timestamp">${e.timestamp}</data></edge>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="depth" for="node" attr.name="depth" attr.type="int"/>',
+    '  <key id="known" for="node" attr.name="known" attr.type="boolean"/>',
+    '  <key id="level" for="edge" attr.name="level" attr.type="string"/>',
+    '  <key id="timestamp" for="edge" attr.name="timestamp" attr.type="long"/>',
+    '  <graph edgedefault="directed">',
+    ...nodes,
+    ...edges,
+    "  </graph>",
+    "</graphml>",
+  ].join("\n");
+}
+
+function errorToDic(e) {
+  if (e instanceof ArangoError) {
+    return {
+      code: 500,
+      errorNum: errors.ARANGO_ERROR,
+      arangoErrorNum: e.errorNum,
+      message: e.message,
+    };
+  }
+  return {
+    code: e.code || 500,
+    errorNum: e.errorNum,
+    message: e.message || String(e),
+  };
+}
 
 const handlers = {
   operationsPost: function (req, res) {
     const op = req.body;
-    const message = operations.getMessage(op);
-    op.hash = hash(message);
-    if (operationsHashesColl.exists(op.hash)) {
-      throw new errors.OperationAppliedBeforeError(op.hash);
-    } else if (JSON.stringify(op).length > MAX_OP_SIZE) {
-      throw new errors.TooBigOperationError(MAX_OP_SIZE);
-    }
+    checkOperation(op);
+    addOperation(op);
+
+    res.send({
+      data: {
+        hash: op.hash,
+      },
+    });
+  },
 
-    // verify signature
-    operations.verify(op);
+  operationsBatchPost: function (req, res) {
+    const { operations: ops, atomic } = req.body;
+    let results = [];
+    const check = (op) => {
+      try {
+        checkOperation(op);
+        return { hash: op.hash, queued: true };
+      } catch (e) {
+        return { hash: op.hash, queued: false, error: errorToDic(e) };
+      }
+    };
 
-    // allow limited number of operations to be posted in defined time window
-    const timeWindow = module.context.configuration.operationsTimeWindow * 1000;
-    const limit = ["Sponsor", "Spend Sponsorship"].includes(op.name)
-      ? module.context.configuration.appsOperationsLimit
-      : module.context.configuration.operationsLimit;
-    operations.checkLimits(op, timeWindow, limit);
+    if (!atomic) {
+      results = ops.map((op) => {
+        const result = check(op);
+        if (result.queued) {
+          addOperation(op);
+        }
+        return result;
+      });
+    } else {
+      // run all checks in a transaction to roll back the rate limit
+      // counters if any of the operations fails
+      let failed = false;
+      try {
+        arango._executeTransaction({
+          collections: {
+            write: ["operations", "operationCounters", "users"],
+          },
+          action: function () {
+            results = ops.map(check);
+            if (results.some((result) => result.error)) {
+              failed = true;
+              throw new errors.BadRequestError();
+            }
+            ops.forEach(addOperation);
+          },
+        });
+      } catch (e) {
+        if (!failed) {
+          throw e;
+        }
+        results.forEach((result) => {
+          result.queued = false;
+        });
+      }
+    }
+
+    res.send({
+      data: {
+        results,
+      },
+    });
+  },
 
-    op.state = "init";
-    db.upsertOperation(op);
+  operationsValidatePost: function (req, res) {
+    const op = req.body;
+    op.hash = hash(operations.getMessage(op));
+    let error;
+    // apply the operation in a transaction that is always rolled back
+    let simulated = false;
+    try {
+      arango._executeTransaction({
+        collections: { write: APPLY_COLLECTIONS },
+        action: function () {
+          if (operationsHashesColl.exists(op.hash)) {
+            throw new errors.OperationAppliedBeforeError(op.hash);
+          } else if (JSON.stringify(op).length > MAX_OP_SIZE) {
+            throw new errors.TooBigOperationError(MAX_OP_SIZE);
+          }
+          const blockTime = Date.now();
+          db.executeDelayedRecoveries(blockTime);
+          operations.verify(op);
+          operations.apply(Object.assign({}, op, { blockTime }));
+          simulated = true;
+          throw new errors.BrightIDError();
+        },
+      });
+    } catch (e) {
+      if (!simulated) {
+        error = errorToDic(e);
+      }
+    }
 
     res.send({
       data: {
         hash: op.hash,
+        valid: !error,
+        error,
       },
     });
   },
@@ -75,6 +269,7 @@ const handlers = {
         data: {
           state: op.state,
           result: op.result,
+          stateHistory: op.stateHistory || [],
         },
       });
     } else {
@@ -82,12 +277,166 @@ const handlers = {
     }
   },
 
+  operationDelete: function (req, res) {
+    const hash = req.param("hash");
+    const { sig } = req.body;
+    const op = db.loadOperation(hash);
+    if (!op) {
+      throw new errors.OperationNotFoundError(hash);
+    }
+    if (op.state != "init") {
+      throw new errors.NotCancellableOperationError(
+        hash,
+        `the operation is in ${op.state} state`
+      );
+    }
+    operations.verifyCancel(op, sig);
+    // the sender may have claimed the operation since it was loaded
+    if (!db.cancelOperation(hash)) {
+      throw new errors.NotCancellableOperationError(
+        hash,
+        `the operation is in ${db.loadOperation(hash).state} state`
+      );
+    }
+    operations.refundLimits(hash);
+    res.send({
+      data: {
+        state: "cancelled",
+      },
+    });
+  },
+
+  userOperationsGet: function (req, res) {
+    const id = req.param("id");
+    const name = req.param("name");
+    const state = req.param("state");
+    const offset = req.param("offset");
+    const limit = req.param("limit");
+    res.send({
+      data: {
+        operations: db.userOperations(id, name, state, offset, limit),
+      },
+    });
+  },
+
+  userLimitsGet: function (req, res) {
+    const id = req.param("id");
+    db.checkUserExists(id);
+    res.send({
+      data: limitsStatus(operations.getUserLimitBucket(id), false),
+    });
+  },
+
   userConnectionsGet: function (req, res) {
     const id = req.param("id");
     const direction = req.param("direction");
+    const level = req.param("level");
+    const { connections, next } = db.listConnections(id, direction, {
+      levels: level && level.split(","),
+      from: req.param("from"),
+      to: req.param("to"),
+      sort: req.param("sort"),
+      limit: req.param("limit"),
+      cursor: req.param("cursor"),
+    });
+    res.send({
+      data: {
+        connections,
+        next,
+      },
+    });
+  },
+
+  connectionHistoryGet: function (req, res) {
+    const id = req.param("id");
+    const otherId = req.param("otherId");
+    res.send({
+      data: {
+        history: db.connectionHistory(id, otherId),
+      },
+    });
+  },
+
+  connectionPathGet: function (req, res) {
+    const id = req.param("id");
+    const otherId = req.param("otherId");
+    const minLevel = req.param("minLevel");
+    const conf = module.context.configuration;
+    const maxDepth = Math.min(
+      req.param("maxDepth") || conf.maxPathDepth,
+      conf.maxPathDepth
+    );
+    const { path, levels } = db.connectionPath(id, otherId, minLevel, maxDepth);
+    res.send({
+      data: {
+        path,
+        levels,
+        hops: path && path.length - 1,
+      },
+    });
+  },
+
+  userNeighborhoodGet: function (req, res) {
+    const id = req.param("id");
+    const graph = db.userNeighborhood(
+      id,
+      req.param("depth"),
+      req.param("minLevel"),
+      module.context.configuration.maxNeighborhoodSize
+    );
+    if (req.param("format") == "graphml") {
+      res.set("content-type", "application/xml");
+      res.send(toGraphML(graph));
+      return;
+    }
+    res.send({
+      data: graph,
+    });
+  },
+
+  userReplacementGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: db.userReplacement(id),
+    });
+  },
+
+  userRecoveryGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: db.recoveryStatus(id),
+    });
+  },
+
+  recoveryPost: function (req, res) {
+    const id = req.param("id");
+    const { signingKey, timestamp, signer, sig } = req.body;
+    db.checkUserExists(id);
+    operations.verifyRecoverySig({ id, signingKey, timestamp }, signer, sig);
+    const recovery = db.openRecovery(id, signingKey, timestamp, signer, sig);
+    const hash = submitRecovery(recovery);
+    res.send({
+      data: Object.assign({ hash }, db.recoveryStatus(id)),
+    });
+  },
+
+  recoverySignaturesPost: function (req, res) {
+    const id = req.param("id");
+    const { signer, sig } = req.body;
+    operations.verifyRecoverySig(db.getRecovery(id), signer, sig);
+    // submit the updated recovery that includes the signature just added
+    const recovery = db.addRecoverySignature(id, signer, sig);
+    const hash = submitRecovery(recovery);
+    res.send({
+      data: Object.assign({ hash }, db.recoveryStatus(id)),
+    });
+  },
+
+  userSigningKeysGet: function (req, res) {
+    const id = req.param("id");
     res.send({
       data: {
-        connections: db.userConnections(id, direction),
+        signingKeys: db.userSigningKeys(id),
       },
     });
   },
@@ -101,6 +450,33 @@ const handlers = {
     });
   },
 
+  userRatingsGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: {
+        ratings: db.userRatings(id),
+      },
+    });
+  },
+
+  userEnergyAllocationGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: {
+        outbound: db.userEnergyAllocation(id, "outbound"),
+        inbound: db.userEnergyAllocation(id, "inbound"),
+      },
+    });
+  },
+
+  userAuraGet: function (req, res) {
+    const id = req.param("id");
+    const contributors = req.param("contributors");
+    res.send({
+      data: db.userAura(id, contributors),
+    });
+  },
+
   userInvitesGet: function (req, res) {
     const id = req.param("id");
     res.send({
@@ -461,6 +837,14 @@ const handlers = {
     });
   },
 
+  appLimitsGet: function (req, res) {
+    const appKey = req.param("app");
+    db.getApp(appKey);
+    res.send({
+      data: limitsStatus(appKey, true),
+    });
+  },
+
   allAppsGet: function (req, res) {
     const apps = db.getApps().map((app) => db.appToDic(app));
     apps.sort((app1, app2) => {
@@ -483,6 +867,51 @@ const handlers = {
     });
   },
 
+  groupsGet: function (req, res) {
+    const filters = {
+      type: req.param("type"),
+      seed: req.param("seed"),
+      region: req.param("region"),
+      minMembers: req.param("minMembers"),
+    };
+    res.send({
+      data: {
+        groups: db.listGroups(filters, req.param("offset"), req.param("limit")),
+      },
+    });
+  },
+
+  groupMembersGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: {
+        members: db.listGroupMembers(
+          id,
+          req.param("offset"),
+          req.param("limit")
+        ),
+      },
+    });
+  },
+
+  groupHistoryGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: {
+        history: db.groupHistory(id),
+      },
+    });
+  },
+
+  groupInvitesGet: function (req, res) {
+    const id = req.param("id");
+    res.send({
+      data: {
+        invites: db.listGroupInvites(id),
+      },
+    });
+  },
+
   groupGet: function (req, res) {
     const id = req.param("id");
     const group = db.getGroup(id);
@@ -497,6 +926,11 @@ const handlers = {
         type: group.type || "general",
         url: group.url,
         info: group.info,
+        nameHash: group.nameHash,
+        descriptionHash: group.descriptionHash,
+        joinPolicy: db.groupJoinPolicy(group),
+        joinRequests: group.joinRequests || [],
+        inviteLifetime: db.groupInviteLifetime(group),
         timestamp: group.timestamp,
       },
     });
@@ -518,6 +952,19 @@ const handlers = {
     });
   },
 
+  reportsGet: function (req, res) {
+    res.send({
+      data: {
+        users: db.reportedUsers(
+          req.param("since"),
+          req.param("minReporters"),
+          req.param("offset"),
+          req.param("limit")
+        ),
+      },
+    });
+  },
+
   peersGet: function (req, res) {
     const conf = module.context.configuration;
     res.send({
@@ -536,6 +983,26 @@ router
   .error(403, "Bad signature")
   .error(429, "Too Many Requests");
 
+router
+  .post("/operations/batch", handlers.operationsBatchPost)
+  .body(schemas.operationsBatchPostBody)
+  .summary("Add a batch of operations to be applied after consensus")
+  .description(
+    "Add a batch of operations to be applied after consensus. In atomic mode none of the operations are added if any of them fails."
+  )
+  .response(schemas.operationsBatchPostResponse)
+  .error(400, "Failed to add the operations");
+
+router
+  .post("/operations/validate", handlers.operationsValidatePost)
+  .body(schemas.operation)
+  .summary("Validate an operation without adding it")
+  .description(
+    "Verifies an operation and simulates applying it without persisting anything or consuming the rate limit, and returns the error the operation would fail with."
+  )
+  .response(schemas.operationsValidatePostResponse)
+  .error(400, "Invalid operation");
+
 router
   .get("/users/:id/memberships", handlers.userMembershipsGet)
   .pathParam(
@@ -563,6 +1030,52 @@ router
   .summary("Gets verifications of the user")
   .response(schemas.userVerificationsGetResponse);
 
+router
+  .get("/users/:id/ratings", handlers.userRatingsGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .summary("Gets honesty ratings given or received by the user")
+  .description(
+    "Gets the history of Aura honesty ratings the user has given or received"
+  )
+  .response(schemas.userRatingsGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/energyAllocation", handlers.userEnergyAllocationGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .summary("Gets outbound and inbound energy allocations of the user")
+  .response(schemas.userEnergyAllocationGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/aura", handlers.userAuraGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .queryParam(
+    "contributors",
+    joi
+      .number()
+      .integer()
+      .min(0)
+      .max(100)
+      .default(10)
+      .description("the number of top inbound energy contributors to return")
+  )
+  .summary("Gets Aura level, score and energy of the user")
+  .description(
+    "Gets the Aura level and score, the energy and the top inbound energy contributors of the user computed by the scorer"
+  )
+  .response(schemas.userAuraGetResponse)
+  .error(404, "User not found");
+
 router
   .get("/users/:id/profile", handlers.userProfileGet)
   .pathParam(
@@ -613,10 +1126,252 @@ router
       .valid("inbound", "outbound")
       .description("the direction of the connection")
   )
+  .queryParam(
+    "level",
+    joi
+      .string()
+      .description(
+        "comma separated list of connection levels to filter the connections by"
+      )
+  )
+  .queryParam(
+    "from",
+    joi
+      .number()
+      .integer()
+      .description("only return connections made at or after this timestamp")
+  )
+  .queryParam(
+    "to",
+    joi
+      .number()
+      .integer()
+      .description("only return connections made at or before this timestamp")
+  )
+  .queryParam(
+    "sort",
+    joi
+      .string()
+      .valid("asc", "desc")
+      .default("asc")
+      .description("the order of the connections by timestamp")
+  )
+  .queryParam(
+    "limit",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .max(1000)
+      .description(
+        "maximum number of connections to return; all connections are returned if not set"
+      )
+  )
+  .queryParam(
+    "cursor",
+    joi.string().description("the next cursor returned by the previous page")
+  )
   .summary("Gets inbound or outbound connections of a user")
-  .description("Gets user's connections with levels and timestamps")
+  .description(
+    "Gets user's connections with levels and timestamps, optionally filtered by level and timestamp range and paginated"
+  )
   .response(schemas.userConnectionsGetResponse);
 
+router
+  .get("/users/:id/connections/:otherId/history", handlers.connectionHistoryGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .pathParam(
+    "otherId",
+    joi.string().required().description("the brightid of the other user")
+  )
+  .summary("Gets the history of the connections between two users")
+  .description(
+    "Gets the chronological list of level changes, report reasons and replacedWith values of the connections between two users in both directions"
+  )
+  .response(schemas.connectionHistoryGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/path/:otherId", handlers.connectionPathGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .pathParam(
+    "otherId",
+    joi.string().required().description("the brightid of the other user")
+  )
+  .queryParam(
+    "minLevel",
+    joi
+      .string()
+      .valid("just met", "already known", "recovery")
+      .default("already known")
+      .description("the minimum level of the connections on the path")
+  )
+  .queryParam(
+    "maxDepth",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .description(
+        "maximum number of hops to search, capped by the maxPathDepth config of the node"
+      )
+  )
+  .summary("Gets the shortest trust path between two users")
+  .description(
+    "Gets the shortest path of outbound connections with at least the minimum level from the user to the other user, or null if they are not linked within the maximum depth"
+  )
+  .response(schemas.connectionPathGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/neighborhood", handlers.userNeighborhoodGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .queryParam(
+    "depth",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .max(3)
+      .default(2)
+      .description("number of hops from the user to include")
+  )
+  .queryParam(
+    "minLevel",
+    joi
+      .string()
+      .valid("reported", "suspicious", "just met", "already known", "recovery")
+      .default("just met")
+      .description("the minimum level of the connections to include")
+  )
+  .queryParam(
+    "format",
+    joi
+      .string()
+      .valid("json", "graphml")
+      .default("json")
+      .description("the format of the returned graph")
+  )
+  .summary("Gets the neighborhood graph of a user")
+  .description(
+    "Gets the users within the given number of hops from the user, and the connections among them, as a JSON graph or GraphML"
+  )
+  .response(schemas.userNeighborhoodGetResponse)
+  .error(400, "Neighborhood is too large")
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/replacement", handlers.userReplacementGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .summary("Gets the account that replaced a user")
+  .description(
+    "Follows the replacedWith values of the connections that reported the user as replaced, choosing the account asserted by most distinct reporters at each step, to find the probable current account of the user"
+  )
+  .response(schemas.userReplacementGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/recovery", handlers.userRecoveryGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .summary("Gets the social recovery status of a user")
+  .description(
+    "Gets the required number of signers, the recovery connections with their cooldown and expiry timers, the signers that are eligible now, the timestamp of the last recovery, the pending recovery of the user on this node and the applied recovery that is waiting for the recovery delay"
+  )
+  .response(schemas.recoveryGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/signingKeys", handlers.userSigningKeysGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .summary("Gets the signing keys of a user")
+  .description(
+    "Gets the signing keys of a user with their labels, the time they were added and the time they were last used to sign an operation"
+  )
+  .response(schemas.userSigningKeysGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/operations", handlers.userOperationsGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .queryParam(
+    "name",
+    joi
+      .string()
+      .valid(
+        // apps are the senders of sponsorship operations
+        ...Object.keys(operations.senderAttrs).filter(
+          (name) => !operations.appOperations.includes(name)
+        )
+      )
+      .description("only return operations with this name")
+  )
+  .queryParam(
+    "state",
+    joi
+      .string()
+      .valid("init", "sending", "sent", "applied", "failed", "cancelled")
+      .description("only return operations in this state")
+  )
+  .queryParam(
+    "offset",
+    joi
+      .number()
+      .integer()
+      .min(0)
+      .default(0)
+      .description("the number of operations to skip")
+  )
+  .queryParam(
+    "limit",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .description("the maximum number of operations to return")
+  )
+  .summary("Gets operations sent by the user")
+  .description(
+    "Gets operations sent by the user, newest first, with their timestamped state transitions"
+  )
+  .response(schemas.userOperationsGetResponse)
+  .error(404, "User not found");
+
+router
+  .get("/users/:id/limits", handlers.userLimitsGet)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the user")
+  )
+  .summary("Gets the rate limit status of the user")
+  .description(
+    "Gets the rate limit bucket that the user's operations are counted in, with its counter, limit and expiry, and the status of operations with separately configured limits"
+  )
+  .response(schemas.limitsGetResponse)
+  .error(404, "User not found");
+
 router
   .get("/users/:id/familiesToVouch", handlers.userFamiliesToVouchGet)
   .pathParam(
@@ -636,6 +1391,21 @@ router
   .response(schemas.operationGetResponse)
   .error(404, "Operation not found");
 
+router
+  .delete("/operations/:hash", handlers.operationDelete)
+  .pathParam(
+    "hash",
+    joi.string().required().description("sha256 hash of the operation message")
+  )
+  .body(schemas.operationDeleteBody)
+  .summary("Cancels an operation that is not sent to consensus yet")
+  .description(
+    "Cancels an operation in init state so that it will not be sent to consensus, and refunds its rate limit."
+  )
+  .response(schemas.operationDeleteResponse)
+  .error(403, "Operation can not be cancelled")
+  .error(404, "Operation not found");
+
 router
   .get("/verifications/blinded/public", handlers.verificationPublicGet)
   .queryParam("app", joi.string().required().description("the key of the app"))
@@ -806,6 +1576,19 @@ router
   .response(schemas.appGetResponse)
   .error(404, "app not found");
 
+router
+  .get("/apps/:app/limits", handlers.appLimitsGet)
+  .pathParam(
+    "app",
+    joi.string().required().description("Unique name of the app")
+  )
+  .summary("Gets the rate limit status of an app")
+  .description(
+    "Gets the rate limit bucket that the app's sponsor operations are counted in, with its counter, limit and expiry, and the status of operations with separately configured limits"
+  )
+  .response(schemas.limitsGetResponse)
+  .error(404, "app not found");
+
 router
   .get("/apps", handlers.allAppsGet)
   .summary("Gets all apps")
@@ -816,12 +1599,111 @@ router
   .summary("Gets state of this node")
   .response(schemas.stateGetResponse);
 
+router
+  .get("/groups", handlers.groupsGet)
+  .queryParam(
+    "type",
+    joi
+      .string()
+      .valid("general", "family")
+      .description("only return groups of this type")
+  )
+  .queryParam(
+    "seed",
+    joi.boolean().description("only return seed or non-seed groups")
+  )
+  .queryParam(
+    "region",
+    joi.string().description("only return groups of this region")
+  )
+  .queryParam(
+    "minMembers",
+    joi
+      .number()
+      .integer()
+      .min(0)
+      .description("only return groups with at least this number of members")
+  )
+  .queryParam(
+    "offset",
+    joi
+      .number()
+      .integer()
+      .min(0)
+      .default(0)
+      .description("the number of groups to skip")
+  )
+  .queryParam(
+    "limit",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .description("the maximum number of groups to return")
+  )
+  .summary("Gets groups")
+  .description(
+    "Gets groups filtered by type, seed flag, region and minimum number of members, newest first"
+  )
+  .response(schemas.groupsGetResponse);
+
+router
+  .get("/groups/:id/members", handlers.groupMembersGet)
+  .pathParam("id", joi.string().required().description("the id of the group"))
+  .queryParam(
+    "offset",
+    joi
+      .number()
+      .integer()
+      .min(0)
+      .default(0)
+      .description("the number of members to skip")
+  )
+  .queryParam(
+    "limit",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .description("the maximum number of members to return")
+  )
+  .summary("Gets members of a group")
+  .description(
+    "Gets members of a group with their join timestamps, oldest first"
+  )
+  .response(schemas.groupMembersGetResponse)
+  .error(404, "Group not found");
+
+router
+  .get("/groups/:id/history", handlers.groupHistoryGet)
+  .pathParam("id", joi.string().required().description("the id of the group"))
+  .summary("Gets the membership history of a group")
+  .description(
+    "Gets the chronological list of joins, leaves, dismissals and admin changes of a group"
+  )
+  .response(schemas.groupHistoryGetResponse)
+  .error(404, "Group not found");
+
+router
+  .get("/groups/:id/invites", handlers.groupInvitesGet)
+  .pathParam("id", joi.string().required().description("the id of the group"))
+  .summary("Gets all invites of a group")
+  .description(
+    "Gets pending, expired and revoked invites of a group, newest first, with the reasons of expiry or revocation"
+  )
+  .response(schemas.groupInvitesGetResponse)
+  .error(404, "Group not found");
+
 router
   .get("/groups/:id", handlers.groupGet)
   .pathParam("id", joi.string().required().description("the id of the group"))
   .summary("Gets information about a group")
   .description(
-    "Gets a group's admins, info, region, seed, type, url, timestamp, members and invited list."
+    "Gets a group's admins, info, region, seed, type, url, name and description hashes, join policy, join requests, timestamp, members and invited list."
   )
   .response(schemas.groupGetResponse)
   .error(404, "Group not found");
@@ -839,6 +1721,84 @@ router
   .response(schemas.sponsorshipGetResponse)
   .error(404, "App generated id not found");
 
+router
+  .post("/recovery/:id", handlers.recoveryPost)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the recovering user")
+  )
+  .body(schemas.recoveryPostBody)
+  .summary("Opens a pending social recovery")
+  .description(
+    "Opens a pending social recovery of the user on this node, signed by one of the user's recovery connections, so the signatures of the other recovery connections can be collected. The Social Recovery operation is submitted automatically once the required number of signatures is collected. Opening the same recovery again adds the signature to it, but a different recovery can not be opened until the pending one expires after the recoveryExpiration config of the node."
+  )
+  .response(schemas.recoveryPostResponse)
+  .error(401, "Bad signature")
+  .error(403, "Ineligible signer or another recovery is pending")
+  .error(404, "User not found")
+  .error(429, "Too Many Requests");
+
+router
+  .post("/recovery/:id/signatures", handlers.recoverySignaturesPost)
+  .pathParam(
+    "id",
+    joi.string().required().description("the brightid of the recovering user")
+  )
+  .body(schemas.recoverySignaturesPostBody)
+  .summary("Adds a signature to a pending social recovery")
+  .description(
+    "Adds the signature of a recovery connection of the user to the pending social recovery of the user, and submits the Social Recovery operation if the required number of signatures is collected."
+  )
+  .response(schemas.recoveryPostResponse)
+  .error(401, "Bad signature")
+  .error(403, "Ineligible signer")
+  .error(404, "Pending recovery not found")
+  .error(429, "Too Many Requests");
+
+router
+  .get("/reports", handlers.reportsGet)
+  .queryParam(
+    "since",
+    joi
+      .number()
+      .integer()
+      .default(0)
+      .description("only count the reports made at or after this timestamp")
+  )
+  .queryParam(
+    "minReporters",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .default(1)
+      .description("minimum number of reporters of the listed users")
+  )
+  .queryParam(
+    "offset",
+    joi
+      .number()
+      .integer()
+      .min(0)
+      .default(0)
+      .description("the number of reported users to skip")
+  )
+  .queryParam(
+    "limit",
+    joi
+      .number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .description("the maximum number of reported users to return")
+  )
+  .summary("Gets the reported users")
+  .description(
+    "Gets the users that are reported by other users, with the number of all and BrightID verified reporters grouped by the report reason and the accounts they are reported to be replaced with, sorted by the number of reporters and then the last report"
+  )
+  .response(schemas.reportsGetResponse);
+
 router
   .get("/peers", handlers.peersGet)
   .summary("Gets other nodes this node trusts")
@@ -6,9 +6,14 @@ const collections = {
   connectionsHistory: "edge",
   groups: "document",
   usersInGroups: "edge",
+  usersInGroupsHistory: "edge",
   users: "document",
   honesty: "edge",
+  honestyHistory: "edge",
   energyAllocation: "edge",
+  energy: "document",
+  energyFlow: "edge",
+  aura: "document",
   contexts: "document",
   apps: "document",
   sponsorships: "edge",
@@ -22,6 +27,7 @@ const collections = {
   signedVerifications: "document",
   appIds: "document",
   operationCounters: "document",
+  recoveries: "document",
 };
 
 // deprecated collections should be added to this array after releasing
@@ -35,6 +41,8 @@ const indexes = [
   { collection: "verifications", fields: ["expression"], type: "persistent" },
   { collection: "verifications", fields: ["rank"], type: "persistent" },
   { collection: "honesty", fields: ["modified"], type: "persistent" },
+  { collection: "honestyHistory", fields: ["timestamp"], type: "persistent" },
+  { collection: "energyFlow", fields: ["timestamp"], type: "persistent" },
   {
     collection: "sponsorships",
     fields: ["expireDate"],
@@ -61,6 +69,17 @@ const indexes = [
     fields: ["timestamp"],
     type: "persistent",
   },
+  {
+    collection: "users",
+    fields: ["delayedRecovery.executeAfter"],
+    type: "persistent",
+    sparse: true,
+  },
+  {
+    collection: "usersInGroupsHistory",
+    fields: ["timestamp"],
+    type: "persistent",
+  },
   { collection: "groups", fields: ["seed"], type: "persistent" },
   { collection: "groups", fields: ["type"], type: "persistent" },
   { collection: "groups", fields: ["head"], type: "persistent" },
@@ -69,6 +88,11 @@ const indexes = [
   { collection: "operations", fields: ["timestamp"], type: "persistent" },
   { collection: "operations", fields: ["contextId"], type: "persistent" },
   { collection: "operations", fields: ["appUserId"], type: "persistent" },
+  {
+    collection: "operations",
+    fields: ["sender", "timestamp"],
+    type: "persistent",
+  },
   {
     collection: "cachedParams",
     fields: ["creationDate"],
@@ -141,6 +165,21 @@ function initializeVariables() {
   }
 }
 
+function addOperationsSender() {
+  console.log("adding 'sender' to operations");
+  // required here as the collections that it loads may be created above
+  const { senderAttrs } = require("./operations");
+  const attrs = {};
+  for (const name in senderAttrs) {
+    attrs[name] = senderAttrs[name][0];
+  }
+  query`
+    FOR o IN operations
+      FILTER o.sender == null
+      UPDATE o WITH { sender: o[${attrs}[o.name]] } IN operations
+  `;
+}
+
 function v6_8() {
   const connectionsHistoryColl = arango._collection("connectionsHistory");
   connectionsHistoryColl
@@ -196,6 +235,7 @@ function initdb() {
   createIndexes();
   removeDeprecatedCollections();
   initializeVariables();
+  addOperationsSender();
   let index;
   if (variablesColl.exists("LAST_DB_UPGRADE_V6")) {
     let upgrade = variablesColl.document("LAST_DB_UPGRADE_V6").value;
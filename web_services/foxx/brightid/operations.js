@@ -17,11 +17,12 @@ const sponsorshipsColl = arango._collection("sponsorships");
 
 const TIME_FUDGE = 60 * 60 * 1000; // timestamp can be this far in the future (milliseconds) to accommodate client/server clock differences
 
-const verifyUserSig = function (message, id, sig) {
+const verifyUserSig = function (message, id, sig, time = Date.now()) {
   // When "Connect" is called by a user that is not created yet
   // signingKey can be calculated from user's brightid
-  let signingKeys = usersColl.exists(id)
-    ? usersColl.document(id).signingKeys
+  const exists = usersColl.exists(id);
+  let signingKeys = exists
+    ? db.currentSigningKeys(usersColl.document(id), time)
     : [urlSafeB64ToB64(id)];
   for (let signingKey of signingKeys) {
     if (
@@ -60,30 +61,125 @@ const senderAttrs = {
   Sponsor: ["app"],
   "Spend Sponsorship": ["app"],
   Invite: ["inviter"],
+  "Revoke Invite": ["revoker"],
   Dismiss: ["dismisser"],
   "Add Admin": ["id"],
+  "Remove Admin": ["id"],
+  "Resign Admin": ["id"],
   "Add Signing Key": ["id"],
   "Remove Signing Key": ["id"],
   "Remove All Signing Keys": ["id"],
   "Update Group": ["id"],
+  "Set Invite Lifetime": ["id"],
   "Vouch Family": ["id"],
   "Set Family Head": ["id"],
   "Convert To Family": ["id"],
   "Set Required Recovery Num": ["id"],
+  Rate: ["rater"],
+  "Set Energy Allocation": ["id"],
+  "Set Recovery Delay": ["id"],
+  "Veto Recovery": ["id"],
 };
 
-function checkLimits(op, timeWindow, limit) {
+function getSender(op) {
+  return op[senderAttrs[op.name][0]];
+}
+
+function getLimitBucket(op, sender) {
+  // these condition structure is applying:
+  // 1) a bucket for a verified user
+  // 2) a bucket for children of a verified user
+  // 3) a bucket for all non-verified users without parent
+  // 4) a bucket for an app
+  // where parent is the first verified user that make connection with the user
+
+  if (op["name"] == "Spend Sponsorship") {
+    const sponsorship = sponsorshipsColl.firstExample({
+      appId: op.appUserId,
+    });
+    if (!sponsorship || !sponsorship.appHasAuthorized) {
+      return "shared_apps";
+    }
+    return sender;
+  }
+
+  if (op["name"] == "Sponsor") {
+    return sender;
+  }
+
+  return getUserLimitBucket(sender);
+}
+
+function getUserLimitBucket(userId) {
+  if (!usersColl.exists(userId)) {
+    // this happens when operation is "Connect" and sender does not exist
+    return "shared";
+  }
+  const user = usersColl.document(userId);
+  const verifications = db.userVerifications(user._key).map((v) => v.name);
+  const verified = verifications && verifications.includes("BrightID");
+  if (!verified && user.parent) {
+    // this happens when user is not verified but has a verified connection
+    return `shared_${user.parent}`;
+  } else if (!verified && !user.parent) {
+    // this happens when user is not verified and does not have a verified connection
+    return "shared";
+  }
+  return userId;
+}
+
+function getLimitStatus(bucket, name, isApp) {
+  const now = Date.now();
+  const { category, limit, timeWindow } = getLimitConfig(name, isApp);
+  const c = operationCountersColl.firstExample({
+    _key: getCounterKey(bucket, category),
+  });
+  // expired counters may not be removed by the ttl index yet
+  const active = c && c.expireDate * 1000 > now;
+  return {
+    bucket,
+    category,
+    counter: active ? c.counter : 0,
+    limit,
+    timeWindow,
+    expiresAt: active ? c.expireDate * 1000 : null,
+  };
+}
+
+const appOperations = ["Sponsor", "Spend Sponsorship"];
+
+function getLimitConfig(name, isApp = appOperations.includes(name)) {
+  // operations with a configured limit are counted in a separate
+  // category to not starve other operations of the same sender
+  // and fall back to the general limit or time window if they only
+  // override one of them
+  const conf = module.context.configuration;
+  const limits = conf.operationsLimits || {};
+  const defaultLimit = isApp ? conf.appsOperationsLimit : conf.operationsLimit;
+  if (name in limits) {
+    const { limit, timeWindow } = limits[name];
+    return {
+      category: name.replace(/ /g, ""),
+      limit: limit == null ? defaultLimit : limit,
+      timeWindow: (timeWindow || conf.operationsTimeWindow) * 1000,
+    };
+  }
+  return {
+    category: null,
+    limit: defaultLimit,
+    timeWindow: conf.operationsTimeWindow * 1000,
+  };
+}
+
+function getCounterKey(bucket, category) {
+  return category ? `${bucket}:${category}` : bucket;
+}
+
+function checkLimits(op, timeWindow, limit, category) {
   let expireDate;
   const now = Date.now();
   const senders = senderAttrs[op.name].map((attr) => op[attr]);
   for (let sender of senders) {
-    // these condition structure is applying:
-    // 1) a bucket for a verified user
-    // 2) a bucket for children of a verified user
-    // 3) a bucket for all non-verified users without parent
-    // 4) a bucket for an app
-    // where parent is the first verified user that make connection with the user
-
     if (op["name"] == "Spend Sponsorship") {
       const app = db.getApp(op.app);
       if (app.idsAsHex) {
@@ -92,44 +188,22 @@ function checkLimits(op, timeWindow, limit) {
       const sponsorship = sponsorshipsColl.firstExample({
         appId: op.appUserId,
       });
-      if (!sponsorship) {
-        sender = "shared_apps";
-      } else if (sponsorship.spendRequested) {
+      if (sponsorship && sponsorship.spendRequested) {
         throw new errors.SpendRequestedBeforeError();
-      } else if (!sponsorship.appHasAuthorized) {
-        sender = "shared_apps";
       }
     }
 
-    if (!["Sponsor", "Spend Sponsorship"].includes(op["name"])) {
-      if (!usersColl.exists(sender)) {
-        // this happens when operation is "Connect" and sender does not exist
-        sender = "shared";
-      } else {
-        const user = usersColl.document(sender);
-        const verifications = db
-          .userVerifications(user._key)
-          .map((v) => v.name);
-        verified = verifications && verifications.includes("BrightID");
-        if (!verified && user.parent) {
-          // this happens when user is not verified but has a verified connection
-          sender = `shared_${user.parent}`;
-        } else if (!verified && !user.parent) {
-          // this happens when user is not verified and does not have a verified connection
-          sender = "shared";
-        }
-      }
-    }
-    const cursor = operationCountersColl.firstExample({ _key: sender });
+    const key = getCounterKey(getLimitBucket(op, sender), category);
+    const cursor = operationCountersColl.firstExample({ _key: key });
     let counter = cursor ? cursor.counter : 0;
     expireDate = cursor
       ? cursor.expireDate
       : Math.ceil(now / 1000 + timeWindow / 1000);
     counter += 1;
     query`
-      UPSERT { _key: ${sender} }
+      UPSERT { _key: ${key} }
         INSERT {
-          _key: ${sender},
+          _key: ${key},
           counter: ${counter},
           expireDate: ${expireDate},
         }
@@ -140,7 +214,8 @@ function checkLimits(op, timeWindow, limit) {
     if (counter <= limit) {
       // if operation has multiple senders, this check will be passed
       // even if one of the senders did not reach limit yet
-      return;
+      // the charged counter is returned to be refunded on cancellation
+      return { key, expireDate };
     }
   }
 
@@ -152,15 +227,57 @@ function checkLimits(op, timeWindow, limit) {
   );
 }
 
+function chargeKey(hash) {
+  return `op:${hash}`;
+}
+
+function recordCharge(hash, { key, expireDate }) {
+  // remember which counter the operation was charged to; the record
+  // expires with the counter's time window by the ttl index
+  query`
+    UPSERT { _key: ${chargeKey(hash)} }
+      INSERT {
+        _key: ${chargeKey(hash)},
+        counterKey: ${key},
+        expireDate: ${expireDate},
+      }
+      UPDATE { counterKey: ${key}, expireDate: ${expireDate} }
+    IN operationCounters
+  `;
+}
+
+function refundLimits(hash) {
+  const charge = operationCountersColl.firstExample({
+    _key: chargeKey(hash),
+  });
+  if (!charge) {
+    return;
+  }
+  // refund the counter that was charged when the operation was submitted
+  // only if its time window is not over yet
+  query`
+    FOR c IN operationCounters
+      FILTER c._key == ${charge.counterKey}
+      AND c.expireDate == ${charge.expireDate}
+      AND c.counter > 0
+      UPDATE c WITH { counter: c.counter - 1 } IN operationCounters
+  `;
+  operationCountersColl.remove(charge);
+}
+
 const signerAndSigs = {
   "Add Group": ["id", "sig"],
   "Remove Group": ["id", "sig"],
   "Add Membership": ["id", "sig"],
   "Remove Membership": ["id", "sig"],
   Invite: ["inviter", "sig"],
+  "Revoke Invite": ["revoker", "sig"],
   Dismiss: ["dismisser", "sig"],
   "Add Admin": ["id", "sig"],
+  "Remove Admin": ["id", "sig"],
+  "Resign Admin": ["id", "sig"],
   "Update Group": ["id", "sig"],
+  "Set Invite Lifetime": ["id", "sig"],
   "Add Signing Key": ["id", "sig"],
   "Remove Signing Key": ["id", "sig"],
   "Remove All Signing Keys": ["id", "sig"],
@@ -168,8 +285,37 @@ const signerAndSigs = {
   "Set Family Head": ["id", "sig"],
   "Convert To Family": ["id", "sig"],
   "Set Required Recovery Num": ["id", "sig"],
+  Rate: ["rater", "sig"],
+  "Set Energy Allocation": ["id", "sig"],
+  "Set Recovery Delay": ["id", "sig"],
+  "Veto Recovery": ["id", "sig"],
 };
 
+function checkRecoverySigner(recoveryConnections, signer) {
+  const rc = recoveryConnections.find((c) => c.id == signer);
+  if (!rc) {
+    throw new errors.NotRecoveryConnectionsError();
+  }
+
+  if (rc.activeAfter != 0) {
+    throw new errors.WaitForCooldownError(signer);
+  }
+}
+
+function getRecoveryOp(id, signingKey, timestamp) {
+  return { name: "Social Recovery", id, signingKey, timestamp, v: 6 };
+}
+
+function verifyRecoverySig(recovery, signer, sig) {
+  checkRecoverySigner(db.getRecoveryConnections(recovery.id), signer);
+  const op = getRecoveryOp(
+    recovery.id,
+    recovery.signingKey,
+    recovery.timestamp
+  );
+  verifyUserSig(getMessage(op), signer, sig);
+}
+
 function verify(op) {
   if (op.v != 6) {
     throw new errors.InvalidOperationVersionError(op.v);
@@ -179,6 +325,9 @@ function verify(op) {
   }
 
   let message = getMessage(op);
+  // applied operations are verified at their block time to get the same
+  // signing keys on all nodes
+  const time = op.blockTime || Date.now();
   if (op.name == "Sponsor") {
     verifyAppSig(message, op.app, op.sig);
     // prevent apps from sending duplicate sponsor requests
@@ -206,28 +355,20 @@ function verify(op) {
         throw new errors.DuplicateSignersError();
       }
 
-      const rc = recoveryConnections.find((c) => c.id == op[`id${i}`]);
-      if (!rc) {
-        throw new errors.NotRecoveryConnectionsError();
-      }
-
-      if (rc.activeAfter != 0) {
-        throw new errors.WaitForCooldownError(op[`id${i}`]);
-      }
-
-      verifyUserSig(message, op[`id${i}`], op[`sig${i}`]);
+      checkRecoverySigner(recoveryConnections, op[`id${i}`]);
+      verifyUserSig(message, op[`id${i}`], op[`sig${i}`], time);
       temp.add(op[`id${i}`]);
     }
   } else if (op.name == "Connect") {
-    verifyUserSig(message, op.id1, op.sig1);
+    verifyUserSig(message, op.id1, op.sig1, time);
     if (op.requestProof) {
-      verifyUserSig(op.id2 + "|" + op.timestamp, op.id2, op.requestProof);
+      verifyUserSig(op.id2 + "|" + op.timestamp, op.id2, op.requestProof, time);
     }
   } else {
     const [signerAttr, sigAttr] = signerAndSigs[op.name];
     const signer = op[signerAttr];
     const sig = op[sigAttr];
-    verifyUserSig(message, signer, sig);
+    verifyUserSig(message, signer, sig, time);
   }
 
   if (hash(message) != op.hash) {
@@ -235,11 +376,72 @@ function verify(op) {
   }
 }
 
+function getCancelMessage(hash) {
+  return stringify({ name: "Cancel Operation", hash });
+}
+
+function verifyCancel(op, sig) {
+  const message = getCancelMessage(op.hash);
+  if (op.name == "Sponsor") {
+    verifyAppSig(message, op.app, sig);
+  } else if (op.name == "Connect") {
+    verifyUserSig(message, op.id1, sig);
+  } else if (op.name in signerAndSigs) {
+    const [signerAttr] = signerAndSigs[op.name];
+    verifyUserSig(message, op[signerAttr], sig);
+  } else {
+    // operations without a single signer can not be cancelled
+    throw new errors.NotCancellableOperationError(
+      op.hash,
+      `${op.name} operations can not be cancelled`
+    );
+  }
+}
+
+function usedSigningKeys(op) {
+  const message = getMessage(op);
+  let signers;
+  if (op.name == "Social Recovery") {
+    signers = [];
+    for (let i = 1; i <= db.getRequiredRecoveryNum(op.id); i++) {
+      signers.push([op[`id${i}`], op[`sig${i}`]]);
+    }
+  } else if (op.name == "Connect") {
+    signers = [[op.id1, op.sig1]];
+  } else if (op.name in signerAndSigs) {
+    const [signerAttr, sigAttr] = signerAndSigs[op.name];
+    signers = [[op[signerAttr], op[sigAttr]]];
+  } else {
+    signers = [];
+  }
+  return signers.map(([id, sig]) => ({
+    id,
+    signingKey: verifyUserSig(message, id, sig, op.blockTime),
+  }));
+}
+
 function apply(op) {
+  // keys are found before applying because the op may change them
+  const signingKeys = usedSigningKeys(op);
+  const result = applyOp(op);
+  // lastUsed is only recorded for applied operations using the block time
+  // to keep the users collection the same on all nodes
+  for (const { id, signingKey } of signingKeys) {
+    db.setSigningKeyLastUsed(id, signingKey, op.blockTime);
+  }
+  return result;
+}
+
+function applyOp(op) {
   if (op["name"] == "Remove All Signing Keys") {
     // verifyUserSig returns the key that used to sign the op
     // removeAllSigningKeys remove all keys except this one
-    const signingKey = verifyUserSig(getMessage(op), op.id, op.sig);
+    const signingKey = verifyUserSig(
+      getMessage(op),
+      op.id,
+      op.sig,
+      op.blockTime
+    );
     op.timestamp = op.blockTime;
     return db.removeAllSigningKeys(op.id, signingKey, op.timestamp);
   }
@@ -257,21 +459,35 @@ function apply(op) {
   } else if (op["name"] == "Remove Membership") {
     return db.deleteMembership(op.group, op.id, op.timestamp);
   } else if (op["name"] == "Social Recovery") {
-    return db.setSigningKey(op.signingKey, op.id, op.timestamp);
+    return db.recover(op.id, op.signingKey, op.timestamp);
   } else if (["Sponsor", "Spend Sponsorship"].includes(op["name"])) {
     return db.sponsor(op);
   } else if (op["name"] == "Invite") {
     return db.invite(op.inviter, op.invitee, op.group, op.data, op.timestamp);
+  } else if (op["name"] == "Revoke Invite") {
+    return db.revokeInvite(
+      op.revoker,
+      op.invitee,
+      op.group,
+      op.reason,
+      op.timestamp
+    );
   } else if (op["name"] == "Dismiss") {
     return db.dismiss(op.dismisser, op.dismissee, op.group, op.timestamp);
   } else if (op["name"] == "Add Admin") {
     return db.addAdmin(op.id, op.admin, op.group, op.timestamp);
+  } else if (op["name"] == "Remove Admin") {
+    return db.removeAdmin(op.id, op.admin, op.group, op.timestamp);
+  } else if (op["name"] == "Resign Admin") {
+    return db.removeAdmin(op.id, op.id, op.group, op.timestamp);
   } else if (op["name"] == "Add Signing Key") {
-    return db.addSigningKey(op.id, op.signingKey, op.timestamp);
+    return db.addSigningKey(op.id, op.signingKey, op.timestamp, op.label);
   } else if (op["name"] == "Remove Signing Key") {
     return db.removeSigningKey(op.id, op.signingKey, op.timestamp);
   } else if (op["name"] == "Update Group") {
-    return db.updateGroup(op.id, op.group, op.url, op.timestamp);
+    return db.updateGroup(op.id, op.group, op, op.timestamp);
+  } else if (op["name"] == "Set Invite Lifetime") {
+    return db.setInviteLifetime(op.id, op.group, op.inviteLifetime);
   } else if (op["name"] == "Vouch Family") {
     return db.vouchFamily(op.id, op.group, op.timestamp);
   } else if (op["name"] == "Set Family Head") {
@@ -284,6 +500,14 @@ function apply(op) {
       op.requiredRecoveryNum,
       op.timestamp
     );
+  } else if (op["name"] == "Rate") {
+    return db.rate(op.rater, op.ratee, op.honesty, op.confidence, op.timestamp);
+  } else if (op["name"] == "Set Energy Allocation") {
+    return db.setEnergyAllocation(op.id, op.allocations, op.timestamp);
+  } else if (op["name"] == "Set Recovery Delay") {
+    return db.setRecoveryDelay(op.id, op.recoveryDelay, op.timestamp);
+  } else if (op["name"] == "Veto Recovery") {
+    return db.vetoRecovery(op.id);
   } else {
     throw new errors.InvalidOperationNameError(op["name"]);
   }
@@ -324,5 +548,17 @@ module.exports = {
   apply,
   verifyUserSig,
   checkLimits,
+  recordCharge,
+  refundLimits,
+  getUserLimitBucket,
+  getLimitConfig,
+  getLimitStatus,
+  appOperations,
   getMessage,
+  getCancelMessage,
+  verifyCancel,
+  getRecoveryOp,
+  verifyRecoverySig,
+  senderAttrs,
+  getSender,
 };
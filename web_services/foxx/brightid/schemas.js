@@ -86,7 +86,7 @@ const operations = {
       .string()
       .required()
       .description(
-        "the unique id of the group that the user represented by id wants to join"
+        "the unique id of the group that the user represented by id wants to join; without a pending invite this requests to join groups that accept join requests"
       ),
     sig: joi
       .string()
@@ -235,6 +235,32 @@ const operations = {
         "deterministic json representation of operation object signed by the inviter"
       ),
   },
+  "Revoke Invite": {
+    revoker: joi
+      .string()
+      .required()
+      .description(
+        "brightid of one of the admins of the group who is revoking the invite"
+      ),
+    invitee: joi
+      .string()
+      .required()
+      .description("brightid of the user whose invite is being revoked"),
+    group: joi
+      .string()
+      .required()
+      .description("the unique id of the group that invitee was invited to"),
+    reason: joi
+      .string()
+      .max(100)
+      .description("optional reason for revoking the invite"),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the revoker"
+      ),
+  },
   Dismiss: {
     dismisser: joi
       .string()
@@ -278,6 +304,38 @@ const operations = {
         "deterministic json representation of operation object signed by the admin user represented by id"
       ),
   },
+  "Remove Admin": {
+    id: joi
+      .string()
+      .required()
+      .description("brightid of one of the current admins of the group"),
+    admin: joi
+      .string()
+      .required()
+      .description(
+        "brightid of the admin whose administratorship of the group is being removed"
+      ),
+    group: joi.string().required().description("the unique id of the group"),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the admin user represented by id"
+      ),
+  },
+  "Resign Admin": {
+    id: joi
+      .string()
+      .required()
+      .description("brightid of the admin who is stepping down"),
+    group: joi.string().required().description("the unique id of the group"),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the admin user represented by id"
+      ),
+  },
   "Update Group": {
     id: joi
       .string()
@@ -286,10 +344,51 @@ const operations = {
     group: joi.string().required().description("the unique id of the group"),
     url: joi
       .string()
-      .required()
       .description(
         "the new url that group data (profile image and name) encrypted by group AES key can be fetched from"
       ),
+    nameHash: joi
+      .string()
+      .max(100)
+      .description("hash of the new name of the group"),
+    region: joi
+      .string()
+      .max(100)
+      .description(
+        "the new region of the group which can not be changed for seed groups"
+      ),
+    descriptionHash: joi
+      .string()
+      .max(100)
+      .description("hash of the new description of the group"),
+    joinPolicy: joi
+      .string()
+      .valid("invite-only", "request-to-join")
+      .description(
+        "whether users can only join the group by invitation of admins or can also request to join"
+      ),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the user represented by id"
+      ),
+  },
+  "Set Invite Lifetime": {
+    id: joi
+      .string()
+      .required()
+      .description("brightid of one of the admins of the group"),
+    group: joi.string().required().description("the unique id of the group"),
+    inviteLifetime: joi
+      .number()
+      .integer()
+      .min(60 * 60 * 1000)
+      .max(30 * 24 * 60 * 60 * 1000)
+      .required()
+      .description(
+        "milliseconds that invites to the group can be accepted before they expire"
+      ),
     sig: joi
       .string()
       .required()
@@ -308,6 +407,12 @@ const operations = {
       .description(
         "the public key of the new key pair that user can sign operations with"
       ),
+    label: joi
+      .string()
+      .max(50)
+      .description(
+        "optional label of the new signing key, e.g. the name of the device"
+      ),
     sig: joi
       .string()
       .required()
@@ -423,6 +528,107 @@ const operations = {
         "deterministic json representation of operation object signed by the head user represented by id"
       ),
   },
+  Rate: {
+    rater: joi
+      .string()
+      .required()
+      .description("brightid of the user who is rating the honesty of ratee"),
+    ratee: joi
+      .string()
+      .required()
+      .description("brightid of the user whose honesty is being rated"),
+    honesty: joi
+      .number()
+      .integer()
+      .min(-4)
+      .max(4)
+      .required()
+      .description(
+        "the honesty score; negative values flag the ratee and zero clears the rating"
+      ),
+    confidence: joi
+      .number()
+      .integer()
+      .min(1)
+      .max(4)
+      .required()
+      .description("how confident the rater is about the honesty score"),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the user represented by rater"
+      ),
+  },
+  "Set Energy Allocation": {
+    id: joi
+      .string()
+      .required()
+      .description("brightid of the user who is allocating energy"),
+    allocations: joi
+      .array()
+      .items(
+        joi.object({
+          id: joi
+            .string()
+            .required()
+            .description("brightid of a connection receiving energy"),
+          allocation: joi
+            .number()
+            .greater(0)
+            .max(100)
+            .required()
+            .description("the percentage of the user's energy allocated"),
+        })
+      )
+      .required()
+      .description(
+        "the new energy allocation of the user that replaces the previous one; percentages should sum to at most 100"
+      ),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the user represented by id"
+      ),
+  },
+  "Set Recovery Delay": {
+    id: joi
+      .string()
+      .required()
+      .description(
+        "brightid of the user who is setting the delay of social recoveries"
+      ),
+    recoveryDelay: joi
+      .number()
+      .integer()
+      .min(0)
+      .max(30 * 24 * 60 * 60 * 1000)
+      .required()
+      .description(
+        "milliseconds that a social recovery waits before replacing the signing keys, during which it can be vetoed (increases take effect after 7 days)"
+      ),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by the user represented by id"
+      ),
+  },
+  "Veto Recovery": {
+    id: joi
+      .string()
+      .required()
+      .description(
+        "brightid of the user who is vetoing the delayed social recovery"
+      ),
+    sig: joi
+      .string()
+      .required()
+      .description(
+        "deterministic json representation of operation object signed by a current signing key of the user represented by id"
+      ),
+  },
 };
 
 Object.keys(operations).forEach((name) => {
@@ -457,6 +663,24 @@ schemas = Object.assign(
         .valid("spammer", "fake", "duplicate", "deceased", "replaced", "other")
         .description("for reported level, the reason for reporting"),
     }),
+    connectionChange: joi.object({
+      from: joi.string().required().description("brightid of the connector"),
+      to: joi.string().required().description("brightid of the connectee"),
+      level: joi.string().required().description("the new level"),
+      reportReason: joi
+        .string()
+        .allow(null)
+        .description("for reported level, the reason for reporting"),
+      replacedWith: joi
+        .string()
+        .allow(null)
+        .description(
+          "for reported as replaced, the new brightid of the replaced account"
+        ),
+      timestamp: schemas.timestamp
+        .required()
+        .description("the timestamp of the level change"),
+    }),
     invite: joi.object({
       id: joi.string().required().description("unique identifier of invite"),
       group: joi
@@ -559,6 +783,78 @@ schemas = Object.assign(
         .valid("spammer", "fake", "duplicate", "deceased", "replaced", "other")
         .description("the reason for reporting"),
     }),
+    rating: joi.object({
+      rater: joi.string().required().description("brightid of the rater"),
+      ratee: joi.string().required().description("brightid of the ratee"),
+      honesty: joi.number().integer().required().description("honesty score"),
+      confidence: joi
+        .number()
+        .integer()
+        .required()
+        .description("confidence of the rater about the honesty score"),
+      timestamp: schemas.timestamp
+        .required()
+        .description("the timestamp of the rating"),
+    }),
+    energyAllocation: joi.object({
+      id: joi
+        .string()
+        .required()
+        .description("brightid of the other side of the allocation"),
+      allocation: joi
+        .number()
+        .required()
+        .description("the percentage of energy allocated"),
+      timestamp: schemas.timestamp
+        .required()
+        .description("the timestamp of the allocation"),
+    }),
+    operationError: joi.object({
+      code: joi.number().integer().description("http status code"),
+      errorNum: joi.number().integer().description("error number"),
+      arangoErrorNum: joi
+        .number()
+        .integer()
+        .description("arango error number for database errors"),
+      message: joi.string().description("error message"),
+    }),
+    stateTransition: joi.object({
+      state: joi.string().required().description("state of the operation"),
+      timestamp: schemas.timestamp
+        .required()
+        .description("the timestamp when the operation got into the state"),
+    }),
+    limitStatus: joi.object({
+      bucket: joi
+        .string()
+        .required()
+        .description("the bucket that operations are counted in"),
+      category: joi
+        .string()
+        .allow(null)
+        .description(
+          "the category of operations with a separately configured limit"
+        ),
+      counter: joi
+        .number()
+        .integer()
+        .required()
+        .description("the number of operations counted in the time window"),
+      limit: joi
+        .number()
+        .integer()
+        .required()
+        .description("maximum number of operations in the time window"),
+      timeWindow: joi
+        .number()
+        .integer()
+        .required()
+        .description("the time window length in milliseconds"),
+      expiresAt: schemas.timestamp
+        .allow(null)
+        .required()
+        .description("the timestamp when the counter will reset"),
+    }),
     membership: joi.object({
       id: joi.string().required().description("the id of the group"),
       timestamp: schemas.timestamp
@@ -585,6 +881,105 @@ schemas = Object.assign(
   schemas
 );
 
+schemas = Object.assign(
+  {
+    operationsBatchPostBody: joi.object({
+      operations: joi
+        .array()
+        .items(schemas.operation)
+        .min(1)
+        .max(10)
+        .required()
+        .description("list of operations to be added"),
+      atomic: joi
+        .boolean()
+        .default(false)
+        .description(
+          "true if none of the operations should be added when any of them fails"
+        ),
+    }),
+    recoveryStatus: joi.object({
+      requiredRecoveryNum: joi
+        .number()
+        .integer()
+        .required()
+        .description("number of signers required to recover the user"),
+      nextRequiredRecoveryNum: joi
+        .number()
+        .integer()
+        .description(
+          "the new required number of signers if it is going to be changed"
+        ),
+      requiredRecoveryNumSetAfter: schemas.timestamp.description(
+        "timestamp after which the new required number of signers is applied"
+      ),
+      recoveryConnections: joi.array().items(schemas.recoveryConnection),
+      eligibleSigners: joi
+        .array()
+        .items(joi.string())
+        .description(
+          "brightids of the recovery connections that can sign a recovery now"
+        ),
+      lastRecovery: schemas.timestamp
+        .allow(null)
+        .description("timestamp of the last applied social recovery"),
+      recoveryDelay: joi
+        .number()
+        .integer()
+        .description(
+          "milliseconds that a social recovery waits before replacing the signing keys"
+        ),
+      nextRecoveryDelay: joi
+        .number()
+        .integer()
+        .allow(null)
+        .description("the increased recovery delay that is not in effect yet"),
+      recoveryDelaySetAfter: schemas.timestamp
+        .allow(null)
+        .description("timestamp after which nextRecoveryDelay takes effect"),
+      delayedRecovery: joi
+        .object({
+          signingKey: joi.string().description("the new signing key"),
+          timestamp: schemas.timestamp.description(
+            "timestamp when the Social Recovery operation was applied"
+          ),
+          executeAfter: schemas.timestamp.description(
+            "timestamp after which the new signing key replaces the current ones"
+          ),
+        })
+        .allow(null)
+        .description(
+          "the applied social recovery that is waiting for the recovery delay and can be vetoed"
+        ),
+      pending: joi
+        .object({
+          signingKey: joi.string().description("the new signing key"),
+          timestamp: schemas.timestamp.description(
+            "timestamp of the Social Recovery operation"
+          ),
+          createdAt: schemas.timestamp.description(
+            "timestamp when the recovery was opened"
+          ),
+          expiresAt: schemas.timestamp.description(
+            "timestamp when the recovery expires"
+          ),
+          signatures: joi
+            .array()
+            .items(
+              joi.object({
+                id: joi.string().description("brightid of the signer"),
+                sig: joi.string().description("signature of the signer"),
+              })
+            )
+            .description("the signatures collected so far"),
+        })
+        .allow(null)
+        .description("the pending recovery opened on this node"),
+    }),
+  },
+  schemas
+);
+
 // extend lower-level schemas with higher-level schemas
 schemas = Object.assign(
   {
@@ -599,6 +994,96 @@ schemas = Object.assign(
       }),
     }),
 
+    operationsBatchPostResponse: joi.object({
+      data: joi.object({
+        results: joi.array().items(
+          joi.object({
+            hash: joi
+              .string()
+              .description("sha256 hash of the operation message"),
+            queued: joi
+              .boolean()
+              .required()
+              .description("true if the operation is added"),
+            error: schemas.operationError.description(
+              "the reason the operation is failed"
+            ),
+          })
+        ),
+      }),
+    }),
+
+    operationDeleteBody: joi.object({
+      sig: joi
+        .string()
+        .required()
+        .description(
+          'deterministic json representation of {name: "Cancel Operation", hash} signed by the signer of the operation'
+        ),
+    }),
+
+    recoveryPostBody: joi.object({
+      signingKey: joi
+        .string()
+        .required()
+        .description(
+          "the public key of the new key pair that user will use to sign operations with"
+        ),
+      timestamp: schemas.timestamp
+        .required()
+        .description("timestamp of the Social Recovery operation"),
+      signer: joi
+        .string()
+        .required()
+        .description(
+          "brightid of the recovery connection opening the recovery"
+        ),
+      sig: joi
+        .string()
+        .required()
+        .description(
+          "deterministic json representation of the Social Recovery operation signed by the signer"
+        ),
+    }),
+
+    recoverySignaturesPostBody: joi.object({
+      signer: joi
+        .string()
+        .required()
+        .description("brightid of a recovery connection of the user"),
+      sig: joi
+        .string()
+        .required()
+        .description(
+          "deterministic json representation of the Social Recovery operation signed by the signer"
+        ),
+    }),
+
+    operationDeleteResponse: joi.object({
+      data: joi.object({
+        state: joi
+          .string()
+          .valid("cancelled")
+          .description("state of operation"),
+      }),
+    }),
+
+    operationsValidatePostResponse: joi.object({
+      data: joi.object({
+        hash: joi
+          .string()
+          .required()
+          .description("sha256 hash of the operation message"),
+        valid: joi
+          .boolean()
+          .required()
+          .description("true if the operation would be applied successfully"),
+        error: schemas.operationError.description(
+          "the error the operation would fail with"
+        ),
+      }),
+    }),
+
     userMembershipsGetResponse: joi.object({
       data: joi.object({
         memberships: joi.array().items(schemas.membership),
@@ -614,6 +1099,172 @@ schemas = Object.assign(
     userConnectionsGetResponse: joi.object({
       data: joi.object({
         connections: joi.array().items(schemas.connection),
+        next: joi
+          .string()
+          .allow(null)
+          .description(
+            "the cursor to get the next page of connections or null if there are no more connections"
+          ),
+      }),
+    }),
+
+    connectionHistoryGetResponse: joi.object({
+      data: joi.object({
+        history: joi
+          .array()
+          .items(schemas.connectionChange)
+          .description(
+            "chronological list of level changes of the connections between the two users in both directions"
+          ),
+      }),
+    }),
+
+    connectionPathGetResponse: joi.object({
+      data: joi.object({
+        path: joi
+          .array()
+          .items(joi.string())
+          .allow(null)
+          .description(
+            "brightids on the shortest path from the user to the other user, or null if no path is found"
+          ),
+        levels: joi
+          .array()
+          .items(joi.string())
+          .allow(null)
+          .description("levels of the connections along the path"),
+        hops: joi
+          .number()
+          .integer()
+          .allow(null)
+          .description("number of connections along the path"),
+      }),
+    }),
+
+    userNeighborhoodGetResponse: joi.object({
+      data: joi.object({
+        nodes: joi.array().items(
+          joi.object({
+            id: joi.string().required().description("brightid of the user"),
+            depth: joi
+              .number()
+              .integer()
+              .required()
+              .description("number of hops from the center user"),
+            known: joi
+              .boolean()
+              .required()
+              .description(
+                "true if the user and the center user know each other"
+              ),
+          })
+        ),
+        edges: joi.array().items(
+          joi.object({
+            from: joi
+              .string()
+              .required()
+              .description("brightid of the connector"),
+            to: joi
+              .string()
+              .required()
+              .description("brightid of the connectee"),
+            level: joi
+              .string()
+              .required()
+              .description("the level of the connection"),
+            timestamp: schemas.timestamp
+              .required()
+              .description("the timestamp of the connection"),
+          })
+        ),
+      }),
+    }),
+
+    userReplacementGetResponse: joi.object({
+      data: joi.object({
+        replacement: joi
+          .string()
+          .allow(null)
+          .description(
+            "the probable current account of the user or null if the user is not reported as replaced or the replacements form a cycle"
+          ),
+        confidence: joi
+          .number()
+          .integer()
+          .description(
+            "the minimum number of distinct reporters asserting a replacement along the chain"
+          ),
+        chain: joi
+          .array()
+          .items(
+            joi.object({
+              id: joi.string().description("brightid of the replaced account"),
+              replacedWith: joi
+                .string()
+                .description("brightid of the replacing account"),
+              reporters: joi
+                .number()
+                .integer()
+                .description("number of reporters asserting the replacement"),
+              alternatives: joi
+                .array()
+                .items(
+                  joi.object({
+                    id: joi.string(),
+                    reporters: joi.number().integer(),
+                  })
+                )
+                .description(
+                  "other replacing accounts asserted by fewer reporters"
+                ),
+            })
+          )
+          .description("the replacements from the user to the current account"),
+        cycle: joi
+          .array()
+          .items(joi.string())
+          .allow(null)
+          .description(
+            "the accounts that are reported as replacing each other in a cycle"
+          ),
+      }),
+    }),
+
+    recoveryGetResponse: joi.object({
+      data: schemas.recoveryStatus,
+    }),
+
+    recoveryPostResponse: joi.object({
+      data: schemas.recoveryStatus.keys({
+        hash: joi
+          .string()
+          .allow(null)
+          .description(
+            "hash of the submitted Social Recovery operation or null if more signatures are required"
+          ),
+      }),
+    }),
+
+    userSigningKeysGetResponse: joi.object({
+      data: joi.object({
+        signingKeys: joi.array().items(
+          joi.object({
+            signingKey: joi.string().required().description("the signing key"),
+            label: joi
+              .string()
+              .allow(null)
+              .description("the label set when adding the signing key"),
+            addedAt: schemas.timestamp
+              .allow(null)
+              .description("timestamp when the signing key was added"),
+            lastUsed: schemas.timestamp
+              .allow(null)
+              .description(
+                "timestamp when the signing key was last used to sign an operation"
+              ),
+          })
+        ),
       }),
     }),
 
@@ -623,6 +1274,64 @@ schemas = Object.assign(
       }),
     }),
 
+    userRatingsGetResponse: joi.object({
+      data: joi.object({
+        ratings: joi
+          .array()
+          .items(schemas.rating)
+          .description(
+            "chronological list of ratings given or received by the user"
+          ),
+      }),
+    }),
+
+    userEnergyAllocationGetResponse: joi.object({
+      data: joi.object({
+        outbound: joi
+          .array()
+          .items(schemas.energyAllocation)
+          .description("energy the user allocated to their connections"),
+        inbound: joi
+          .array()
+          .items(schemas.energyAllocation)
+          .description("energy other users allocated to the user"),
+      }),
+    }),
+
+    userAuraGetResponse: joi.object({
+      data: joi.object({
+        level: joi
+          .string()
+          .valid("Gold", "Silver", "Bronze", "Zero", "Sus")
+          .description("the Aura level of the user"),
+        score: joi.number().description("the Aura score of the user"),
+        block: joi
+          .number()
+          .integer()
+          .description("the block that the Aura score was computed at"),
+        energy: joi
+          .number()
+          .required()
+          .description("the energy the user received in the last energy flow"),
+        contributors: joi
+          .array()
+          .items(
+            joi.object({
+              id: joi
+                .string()
+                .required()
+                .description("brightid of the contributor"),
+              energy: joi
+                .number()
+                .required()
+                .description("the energy received from the contributor"),
+            })
+          )
+          .required()
+          .description("top inbound energy contributors of the user"),
+      }),
+    }),
+
     userVerificationsGetResponse: joi.object({
       data: joi.object({
         verifications: joi.array().items(joi.object()),
@@ -705,17 +1414,62 @@ schemas = Object.assign(
       }),
     }),
 
+    userOperationsGetResponse: joi.object({
+      data: joi.object({
+        operations: joi.array().items(
+          joi.object({
+            hash: joi
+              .string()
+              .required()
+              .description("sha256 hash of the operation message"),
+            name: joi.string().required().description("operation name"),
+            state: joi.string().required().description("state of operation"),
+            result: joi
+              .any()
+              .description("result of operation after being applied"),
+            timestamp: schemas.timestamp
+              .required()
+              .description("the timestamp when the operation was created"),
+            stateHistory: joi
+              .array()
+              .items(schemas.stateTransition)
+              .required()
+              .description("timestamped state transitions of the operation"),
+          })
+        ),
+      }),
+    }),
+
     operationGetResponse: joi.object({
       data: joi.object({
         state: joi
           .string()
-          .valid("init", "sent", "applied", "failed")
+          .valid("init", "sending", "sent", "applied", "failed", "cancelled")
           .description("state of operation"),
         result: joi
           .string()
           .description(
             "result of operation after being applied. If operation is failed this field contain the reason."
           ),
+        stateHistory: joi
+          .array()
+          .items(schemas.stateTransition)
+          .description("timestamped state transitions of the operation"),
+      }),
+    }),
+
+    limitsGetResponse: joi.object({
+      data: schemas.limitStatus.keys({
+        categories: joi
+          .array()
+          .items(
+            schemas.limitStatus.keys({
+              operation: joi.string().required().description("operation name"),
+            })
+          )
+          .description(
+            "status of operations with separately configured limits"
+          ),
       }),
     }),
 
@@ -811,6 +1565,38 @@ schemas = Object.assign(
         info: joi
           .string()
           .description("URL of a documnet that contains info about the group"),
+        nameHash: joi.string().description("hash of the name of the group"),
+        descriptionHash: joi
+          .string()
+          .description("hash of the description of the group"),
+        joinPolicy: joi
+          .string()
+          .valid("invite-only", "request-to-join")
+          .required()
+          .description("how users can join the group"),
+        joinRequests: joi
+          .array()
+          .items(
+            joi.object({
+              id: joi
+                .string()
+                .required()
+                .description("brightid of the user who requested to join"),
+              timestamp: joi
+                .number()
+                .required()
+                .description("timestamp of the request"),
+            })
+          )
+          .required()
+          .description(
+            "users who requested to join the group and are waiting for an invite from the admins"
+          ),
+        inviteLifetime: joi
+          .number()
+          .integer()
+          .required()
+          .description("milliseconds that invites to the group are valid"),
         timestamp: joi
           .number()
           .required()
@@ -818,6 +1604,106 @@ schemas = Object.assign(
       }),
     }),
 
+    groupsGetResponse: joi.object({
+      data: joi.object({
+        groups: joi.array().items(
+          joi.object({
+            id: joi
+              .string()
+              .required()
+              .description("the unique id of the group"),
+            type: joi.string().required().description("type of the group"),
+            seed: joi.boolean().required().description("true if group is Seed"),
+            region: joi.string().description("region of the group"),
+            url: joi.string().description("url of the group"),
+            membersNum: joi
+              .number()
+              .integer()
+              .required()
+              .description("number of members of the group"),
+            timestamp: joi
+              .number()
+              .required()
+              .description("the group creation timestamp"),
+          })
+        ),
+      }),
+    }),
+
+    groupMembersGetResponse: joi.object({
+      data: joi.object({
+        members: joi.array().items(
+          joi.object({
+            id: joi.string().required().description("brightid of the member"),
+            timestamp: schemas.timestamp
+              .required()
+              .description("timestamp when the member joined the group"),
+          })
+        ),
+      }),
+    }),
+
+    groupInvitesGetResponse: joi.object({
+      data: joi.object({
+        invites: joi.array().items(
+          joi.object({
+            id: joi
+              .string()
+              .required()
+              .description("unique identifier of invite"),
+            inviter: joi.string().required().description("brightid of inviter"),
+            invitee: joi.string().required().description("brightid of invitee"),
+            timestamp: schemas.timestamp
+              .required()
+              .description("timestamp when the user was invited"),
+            expiresAt: schemas.timestamp
+              .required()
+              .description("timestamp when the invite expires"),
+            state: joi
+              .string()
+              .valid("pending", "expired", "revoked")
+              .required()
+              .description("state of the invite"),
+            revokedBy: joi
+              .string()
+              .description("brightid of the admin who revoked the invite"),
+            revokedAt: schemas.timestamp.description(
+              "timestamp when the invite was revoked"
+            ),
+            reason: joi
+              .string()
+              .description("why the invite is expired or revoked"),
+          })
+        ),
+      }),
+    }),
+
+    groupHistoryGetResponse: joi.object({
+      data: joi.object({
+        history: joi.array().items(
+          joi.object({
+            user: joi
+              .string()
+              .required()
+              .description("brightid of the user whose membership changed"),
+            action: joi
+              .string()
+              .required()
+              .description(
+                "the change: request to join, join, leave, dismiss, admin, remove admin, resign admin or group deleted"
+              ),
+            by: joi
+              .string()
+              .required()
+              .description("brightid of the user who made the change"),
+            timestamp: schemas.timestamp
+              .required()
+              .description("timestamp of the change"),
+          })
+        ),
+      }),
+    }),
+
     verificationPublicGetResponse: joi.object({
       data: joi.object({
         public: joi
@@ -941,6 +1827,62 @@ schemas = Object.assign(
       }),
     }),
 
+    reportsGetResponse: joi.object({
+      data: joi.object({
+        users: joi.array().items(
+          joi.object({
+            id: joi
+              .string()
+              .required()
+              .description("brightid of the reported user"),
+            reporters: joi
+              .number()
+              .integer()
+              .required()
+              .description("number of users who reported the user"),
+            verifiedReporters: joi
+              .number()
+              .integer()
+              .required()
+              .description(
+                "number of BrightID verified users who reported the user"
+              ),
+            lastReported: schemas.timestamp
+              .required()
+              .description("timestamp of the last report"),
+            reasons: joi
+              .array()
+              .items(
+                joi.object({
+                  reason: joi
+                    .string()
+                    .required()
+                    .description("the report reason"),
+                  reporters: joi.number().integer().required(),
+                  verifiedReporters: joi.number().integer().required(),
+                })
+              )
+              .description("number of reporters grouped by the report reason"),
+            replacedWith: joi
+              .array()
+              .items(
+                joi.object({
+                  id: joi
+                    .string()
+                    .required()
+                    .description("brightid of the replacing account"),
+                  reporters: joi.number().integer().required(),
+                  verifiedReporters: joi.number().integer().required(),
+                })
+              )
+              .description(
+                "accounts the user is reported to be replaced with and the number of their reporters"
+              ),
+          })
+        ),
+      }),
+    }),
+
     peersGetResponse: joi.object({
       data: joi.object({
         peers: joi
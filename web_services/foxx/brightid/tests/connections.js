@@ -1,6 +1,7 @@
 "use strict";
 
 const db = require("../db.js");
+const errors = require("../errors.js");
 const arango = require("@arangodb").db;
 const usersColl = arango._collection("users");
 const connectionsColl = arango._collection("connections");
@@ -129,6 +130,28 @@ describe("connections", function () {
     a.level.should.equal("already known");
   });
 
+  it("should be able to filter and paginate connections", function () {
+    const page1 = db.listConnections("a", "inbound", { sort: "asc", limit: 1 });
+    page1.connections.map((c) => c.id).should.deep.equal(["c"]);
+    should.exist(page1.next);
+    const page2 = db.listConnections("a", "inbound", {
+      sort: "asc",
+      limit: 1,
+      cursor: page1.next,
+    });
+    page2.connections.map((c) => c.id).should.deep.equal(["b"]);
+    should.not.exist(page2.next);
+    db.listConnections("a", "inbound", { sort: "desc" })
+      .connections.map((c) => c.id)
+      .should.deep.equal(["b", "c"]);
+    db.listConnections("a", "inbound", { levels: ["reported"] })
+      .connections.map((c) => c.id)
+      .should.deep.equal(["c"]);
+    db.listConnections("a", "inbound", { from: 1 })
+      .connections.map((c) => c.id)
+      .should.deep.equal(["b"]);
+  });
+
   it("should be able to report someone as replaced", function () {
     db.connect({
       id1: "c",
@@ -146,6 +169,115 @@ describe("connections", function () {
     conn.reportReason.should.equal("replaced");
     conn.replacedWith.should.equal("b");
   });
+
+  it("should be able to get the reported users", function () {
+    const reports = db.reportedUsers(0, 1, 0, 10);
+    reports.map((r) => r.id).should.deep.equal(["a"]);
+    reports[0].reporters.should.equal(1);
+    reports[0].reasons
+      .map((r) => [r.reason, r.reporters])
+      .should.deep.equal([["replaced", 1]]);
+    reports[0].replacedWith.map((r) => r.id).should.deep.equal(["b"]);
+    db.reportedUsers(0, 2, 0, 10).length.should.equal(0);
+    db.reportedUsers(timestamp + 1, 1, 0, 10).length.should.equal(0);
+    db.reportedUsers(0, 1, 1, 10).length.should.equal(0);
+  });
+
+  it("should be able to resolve the replacement of a user", function () {
+    let res = db.userReplacement("a");
+    res.replacement.should.equal("b");
+    res.confidence.should.equal(1);
+    db.connect({
+      id1: "a",
+      id2: "b",
+      level: "reported",
+      reportReason: "replaced",
+      replacedWith: "c",
+      timestamp,
+    });
+    db.connect({
+      id1: "b",
+      id2: "c",
+      level: "reported",
+      reportReason: "replaced",
+      replacedWith: "a",
+      timestamp,
+    });
+    res = db.userReplacement("a");
+    should.not.exist(res.replacement);
+    res.chain
+      .map((link) => link.replacedWith)
+      .should.deep.equal(["b", "c", "a"]);
+    res.cycle.should.deep.equal(["a", "b", "c"]);
+    db.userReplacement("c").cycle.should.deep.equal(["c", "a", "b"]);
+  });
+
+  it("should be able to get the history of connections between two users", function () {
+    db.connect({ id1: "d", id2: "e", level: "just met", timestamp: 1 });
+    db.connect({ id1: "e", id2: "d", level: "just met", timestamp: 2 });
+    db.connect({ id1: "d", id2: "e", level: "already known", timestamp: 3 });
+    db.connect({
+      id1: "e",
+      id2: "d",
+      level: "reported",
+      reportReason: "replaced",
+      replacedWith: "a",
+      timestamp: 4,
+    });
+    const history = db.connectionHistory("d", "e");
+    history
+      .map((h) => [h.from, h.level])
+      .should.deep.equal([
+        ["d", "just met"],
+        ["e", "just met"],
+        ["d", "already known"],
+        ["e", "reported"],
+      ]);
+    history[3].reportReason.should.equal("replaced");
+    history[3].replacedWith.should.equal("a");
+  });
+
+  it("should be able to find the shortest trust path between two users", function () {
+    db.connect({ id1: "p1", id2: "p2", level: "already known", timestamp });
+    db.connect({ id1: "p2", id2: "p3", level: "already known", timestamp });
+    db.connect({ id1: "p1", id2: "p3", level: "just met", timestamp });
+    db.connect({ id1: "p4", id2: "p3", level: "already known", timestamp });
+    db.connect({ id1: "p3", id2: "p4", level: "recovery", timestamp });
+    db.connectionPath("p1", "p4", "already known", 4).should.deep.equal({
+      path: ["p1", "p2", "p3", "p4"],
+      levels: ["already known", "already known", "recovery"],
+    });
+    db.connectionPath("p1", "p4", "just met", 4).path.should.deep.equal([
+      "p1",
+      "p3",
+      "p4",
+    ]);
+    should.not.exist(db.connectionPath("p1", "p4", "already known", 2).path);
+    should.not.exist(db.connectionPath("p4", "p1", "just met", 4).path);
+  });
+
+  it("should be able to get the neighborhood of a user", function () {
+    db.connect({ id1: "p2", id2: "p1", level: "already known", timestamp });
+    const { nodes, edges } = db.userNeighborhood("p1", 2, "already known", 10);
+    nodes.should.have.deep.members([
+      { id: "p1", depth: 0, known: false },
+      { id: "p2", depth: 1, known: true },
+      { id: "p3", depth: 2, known: false },
+    ]);
+    edges
+      .map((e) => [e.from, e.to])
+      .should.have.deep.members([
+        ["p1", "p2"],
+        ["p2", "p1"],
+        ["p2", "p3"],
+      ]);
+  });
+
+  it("should not return neighborhoods larger than the limit", function () {
+    (() => {
+      db.userNeighborhood("p1", 2, "already known", 2);
+    }).should.throw(errors.NeighborhoodTooLargeError);
+  });
 });
 
 describe("recovery connections", function () {
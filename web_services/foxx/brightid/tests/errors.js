@@ -50,7 +50,15 @@ function apply(op) {
   let h = hash(getMessage(op));
   resp.json.data.hash.should.equal(h);
   op = operationsColl.document(h);
-  op = _.omit(op, ["_rev", "_id", "_key", "hash", "state"]);
+  op = _.omit(op, [
+    "_rev",
+    "_id",
+    "_key",
+    "hash",
+    "state",
+    "stateHistory",
+    "sender",
+  ]);
   op.blockTime = op.timestamp;
   resp = request.put(`${applyBaseUrl}/operations/${h}`, {
     body: op,
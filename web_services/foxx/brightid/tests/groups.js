@@ -8,6 +8,7 @@ const { hash } = require("../encoding");
 const connectionsColl = arango._collection("connections");
 const groupsColl = arango._collection("groups");
 const usersInGroupsColl = arango._collection("usersInGroups");
+const usersInGroupsHistoryColl = arango._collection("usersInGroupsHistory");
 const usersColl = arango._collection("users");
 const invitationsColl = arango._collection("invitations");
 
@@ -22,6 +23,7 @@ describe("groups", function () {
     connectionsColl.truncate();
     groupsColl.truncate();
     usersInGroupsColl.truncate();
+    usersInGroupsHistoryColl.truncate();
     invitationsColl.truncate();
     db.createUser("a");
     db.createUser("b");
@@ -35,6 +37,7 @@ describe("groups", function () {
     connectionsColl.truncate();
     groupsColl.truncate();
     usersInGroupsColl.truncate();
+    usersInGroupsHistoryColl.truncate();
     invitationsColl.truncate();
   });
 
@@ -48,6 +51,12 @@ describe("groups", function () {
     it("admin of the group should be able to delete it", function () {
       db.deleteGroup("g1", "b", Date.now());
       groupsColl.count().should.equal(0);
+      db.groupHistory("g1")
+        .map((h) => [h.user, h.action, h.by])
+        .should.have.deep.members([
+          ["b", "join", "b"],
+          ["b", "group deleted", "b"],
+        ]);
     });
   });
 
@@ -76,6 +85,13 @@ describe("groups", function () {
         db.invite("d", "e", "g3", "data", Date.now());
       }).should.throw(errors.NotAdminError);
     });
+    it("invites should be listed for the user for 24 hours and for the group for 72 hours", function () {
+      db.invite("a", "e", "g3", "data", Date.now() - 30 * 60 * 60 * 1000);
+      db.userInvites("e").length.should.equal(0);
+      db.groupInvites("g3")
+        .map((invite) => invite.invitee)
+        .should.include("e");
+    });
   });
 
   describe("dismissing and leaving", function () {
@@ -124,6 +140,169 @@ describe("groups", function () {
     });
   });
 
+  describe("removing admins", function () {
+    it("non-admins should not be able to remove admins", function () {
+      (() => {
+        db.removeAdmin("e", "a", "g3", Date.now());
+      }).should.throw(errors.NotAdminError);
+    });
+    it("admins should be able to remove other admins", function () {
+      db.addAdmin("a", "e", "g3", Date.now());
+      db.removeAdmin("a", "e", "g3", Date.now());
+      groupsColl.document("g3").admins.should.deep.equal(["a"]);
+    });
+    it("admins should not be able to remove users who are not admins", function () {
+      (() => {
+        db.removeAdmin("a", "e", "g3", Date.now());
+      }).should.throw(errors.NotGroupAdminError);
+    });
+    it("the last admin should not be able to resign", function () {
+      (() => {
+        db.removeAdmin("a", "a", "g3", Date.now());
+      }).should.throw(errors.LastAdminError);
+    });
+    it("admins should be able to resign when other admins remain", function () {
+      db.addAdmin("a", "e", "g3", Date.now());
+      db.removeAdmin("e", "e", "g3", Date.now());
+      groupsColl.document("g3").admins.should.deep.equal(["a"]);
+      db.groupMembers("g3").should.include("e");
+    });
+  });
+
+  describe("revoking and expiring invites", function () {
+    before(function () {
+      db.invite("a", "b", "g3", "data", Date.now());
+    });
+    it("non-admins should not be able to revoke invites", function () {
+      (() => {
+        db.revokeInvite("e", "b", "g3", "wrong user", Date.now());
+      }).should.throw(errors.NotAdminError);
+    });
+    it("admins should be able to revoke pending invites", function () {
+      db.revokeInvite("a", "b", "g3", "wrong user", Date.now());
+      db.userInvites("b").length.should.equal(0);
+      (() => {
+        db.addMembership("g3", "b", Date.now());
+      }).should.throw(errors.NotInvitedError);
+      (() => {
+        db.revokeInvite("a", "b", "g3", "wrong user", Date.now());
+      }).should.throw(errors.InviteNotFoundError);
+    });
+    it("admins should be able to set the invite lifetime of the group", function () {
+      (() => {
+        db.setInviteLifetime("e", "g3", 60 * 60 * 1000);
+      }).should.throw(errors.NotAdminError);
+      db.setInviteLifetime("a", "g3", 60 * 60 * 1000);
+      db.invite("a", "c", "g3", "data", Date.now() - 2 * 60 * 60 * 1000);
+      db.groupInvites("g3").length.should.equal(0);
+      (() => {
+        db.addMembership("g3", "c", Date.now());
+      }).should.throw(errors.NotInvitedError);
+    });
+    it("users should be able to list pending, expired and revoked invites of a group", function () {
+      db.invite("a", "d", "g3", "data", Date.now() + 1);
+      db.listGroupInvites("g3")
+        .map((invite) => [invite.invitee, invite.state, invite.reason])
+        .should.deep.equal([
+          ["d", "pending", undefined],
+          ["b", "revoked", "wrong user"],
+          [
+            "c",
+            "expired",
+            "not accepted within the invite lifetime of the group",
+          ],
+        ]);
+    });
+  });
+
+  describe("listing", function () {
+    before(function () {
+      groupsColl.update("g3", { seed: true, region: "Europe" });
+      db.createGroup("g4", "c", url, "general", Date.now());
+    });
+    it("users should be able to list groups by type, seed, region and size", function () {
+      const ids = (filters) =>
+        db.listGroups(filters, 0, 10).map((group) => group.id);
+      ids({}).should.deep.equal(["g4", "g3"]);
+      ids({ seed: true }).should.deep.equal(["g3"]);
+      ids({ seed: false }).should.deep.equal(["g4"]);
+      ids({ region: "Europe" }).should.deep.equal(["g3"]);
+      ids({ minMembers: 2 }).should.deep.equal(["g3"]);
+      ids({ type: "general" }).should.deep.equal(["g4", "g3"]);
+      ids({ type: "family" }).should.deep.equal([]);
+      db.listGroups({}, 1, 10)
+        .map((group) => group.id)
+        .should.deep.equal(["g3"]);
+    });
+    it("users should be able to get the membership history of a group", function () {
+      const history = db.groupHistory("g3").filter((h) => h.user == "d");
+      history
+        .map((h) => [h.action, h.by])
+        .should.have.deep.members([
+          ["join", "d"],
+          ["join", "d"],
+          ["dismiss", "a"],
+          ["join", "d"],
+          ["admin", "a"],
+          ["remove admin", "d"],
+          ["leave", "d"],
+        ]);
+      (() => {
+        db.groupHistory("g5");
+      }).should.throw(errors.GroupNotFoundError);
+    });
+    it("users should be able to page through members of a group", function () {
+      db.listGroupMembers("g3", 0, 1)
+        .map((member) => member.id)
+        .should.deep.equal(["a"]);
+      db.listGroupMembers("g3", 1, 10)
+        .map((member) => member.id)
+        .should.deep.equal(["e"]);
+    });
+  });
+
+  describe("updating", function () {
+    it("admins should not be able to change the region of seed groups", function () {
+      (() => {
+        db.updateGroup("a", "g3", { region: "Asia" }, Date.now());
+      }).should.throw(errors.SeedGroupRegionError);
+      db.updateGroup("c", "g4", { region: "Asia" }, Date.now());
+      groupsColl.document("g4").region.should.equal("Asia");
+    });
+    it("admins should not be able to send updates without any field", function () {
+      (() => {
+        db.updateGroup("a", "g3", { group: "g3" }, Date.now());
+      }).should.throw(errors.EmptyGroupUpdateError);
+      db.updateGroup("a", "g3", { nameHash: hash("name") }, Date.now());
+      groupsColl.document("g3").nameHash.should.equal(hash("name"));
+    });
+    it("users should only be able to request to join groups that accept join requests", function () {
+      (() => {
+        db.addMembership("g4", "b", Date.now());
+      }).should.throw(errors.NotInvitedError);
+      db.updateGroup("c", "g4", { joinPolicy: "request-to-join" }, Date.now());
+      db.addMembership("g4", "b", Date.now());
+      db.addMembership("g4", "d", Date.now());
+      db.groupMembers("g4").should.not.include("b");
+      groupsColl
+        .document("g4")
+        .joinRequests.map((r) => r.id)
+        .should.deep.equal(["b", "d"]);
+      db.invite("c", "b", "g4", "data", Date.now());
+      db.addMembership("g4", "b", Date.now());
+      db.groupMembers("g4").should.include("b");
+      groupsColl
+        .document("g4")
+        .joinRequests.map((r) => r.id)
+        .should.deep.equal(["d"]);
+      db.updateGroup("c", "g4", { joinPolicy: "invite-only" }, Date.now());
+      groupsColl.document("g4").joinRequests.should.deep.equal([]);
+      (() => {
+        db.addMembership("g4", "d", Date.now());
+      }).should.throw(errors.NotInvitedError);
+    });
+  });
+
   describe("family groups", function () {
     before(function () {
       usersColl.truncate();
@@ -3,7 +3,7 @@
 const db = require("../db.js");
 const errors = require("../errors.js");
 const _ = require("lodash");
-const { getMessage } = require("../operations");
+const { getMessage, getCancelMessage } = require("../operations");
 const arango = require("@arangodb").db;
 const query = require("@arangodb").query;
 const request = require("@arangodb/request");
@@ -39,6 +39,10 @@ const operationsHashesColl = arango._collection("operationsHashes");
 const invitationsColl = arango._collection("invitations");
 const verificationsColl = arango._collection("verifications");
 const operationCountersColl = arango._collection("operationCounters");
+const honestyColl = arango._collection("honesty");
+const honestyHistoryColl = arango._collection("honestyHistory");
+const energyAllocationColl = arango._collection("energyAllocation");
+const recoveriesColl = arango._collection("recoveries");
 
 const chai = require("chai");
 const should = chai.should();
@@ -67,7 +71,15 @@ function apply(op) {
   let h = hash(getMessage(op));
   resp.json.data.hash.should.equal(h);
   op = operationsColl.document(h);
-  op = _.omit(op, ["_rev", "_id", "_key", "hash", "state"]);
+  op = _.omit(op, [
+    "_rev",
+    "_id",
+    "_key",
+    "hash",
+    "state",
+    "stateHistory",
+    "sender",
+  ]);
   op.blockTime = op.timestamp;
   resp = request.put(`${applyBaseUrl}/operations/${h}`, {
     body: op,
@@ -112,6 +124,10 @@ describe("operations", function () {
     sponsorshipsColl.truncate();
     invitationsColl.truncate();
     verificationsColl.truncate();
+    honestyColl.truncate();
+    honestyHistoryColl.truncate();
+    energyAllocationColl.truncate();
+    recoveriesColl.truncate();
     [u1, u2, u3, u4, u5, u6, u7, u8, u9, u10, u11].map((u) => {
       u.signingKey = uInt8ArrayToB64(Object.values(u.publicKey));
       u.id = b64ToUrlSafeB64(u.signingKey);
@@ -139,6 +155,10 @@ describe("operations", function () {
     invitationsColl.truncate();
     verificationsColl.truncate();
     operationCountersColl.truncate();
+    honestyColl.truncate();
+    honestyHistoryColl.truncate();
+    energyAllocationColl.truncate();
+    recoveriesColl.truncate();
   });
 
   it('should be able to "Connect"', function () {
@@ -337,6 +357,34 @@ describe("operations", function () {
     groupsColl.document(groupId).url.should.equal(newUrl);
   });
 
+  it('admins should be able "Update Group" to set region, name and description hashes and join policy', function () {
+    const timestamp = Date.now();
+    const groupId = db.userMemberships(u2.id)[0].id;
+    const url = groupsColl.document(groupId).url;
+    const op = {
+      v: 6,
+      name: "Update Group",
+      id: u2.id,
+      group: groupId,
+      nameHash: hash("new name"),
+      region: "Asia",
+      descriptionHash: hash("new description"),
+      joinPolicy: "request-to-join",
+      timestamp,
+    };
+    const message = getMessage(op);
+    op.sig = uInt8ArrayToB64(
+      Object.values(nacl.sign.detached(strToUint8Array(message), u2.secretKey))
+    );
+    apply(op);
+    const group = groupsColl.document(groupId);
+    group.url.should.equal(url);
+    group.nameHash.should.equal(hash("new name"));
+    group.region.should.equal("Asia");
+    group.descriptionHash.should.equal(hash("new description"));
+    group.joinPolicy.should.equal("request-to-join");
+  });
+
   it("should not be able to make a recovery connection when the other side connection is not equal to 'recovery' or 'already known'", function () {
     const timestamp = Date.now();
 
@@ -391,6 +439,194 @@ describe("operations", function () {
     u1.secretKey = u7.secretKey;
   });
 
+  it("should be able to collect social recovery signatures on the node and submit them", function () {
+    const timestamp = Date.now();
+    const op = {
+      v: 6,
+      name: "Social Recovery",
+      id: u1.id,
+      signingKey: u8.signingKey,
+      timestamp,
+    };
+    const message = getMessage(op);
+    const sign = (u) =>
+      uInt8ArrayToB64(
+        Object.values(nacl.sign.detached(strToUint8Array(message), u.secretKey))
+      );
+    let resp = request.post(`${baseUrl}/recovery/${u1.id}`, {
+      body: {
+        signingKey: u8.signingKey,
+        timestamp,
+        signer: u2.id,
+        sig: sign(u2),
+      },
+      json: true,
+    });
+    resp.status.should.equal(200);
+    should.not.exist(resp.json.data.hash);
+
+    // old operations are removed from the node after a while
+    operationsColl.removeByExample({
+      name: "Social Recovery",
+      id: u1.id,
+      state: "applied",
+    });
+    resp = request.get(`${baseUrl}/users/${u1.id}/recovery`, { json: true });
+    const status = resp.json.data;
+    status.requiredRecoveryNum.should.equal(2);
+    status.eligibleSigners.should.have.members([u2.id, u3.id]);
+    should.exist(status.lastRecovery);
+    status.lastRecovery.should.equal(usersColl.document(u1.id).updateTime);
+    status.pending.signingKey.should.equal(u8.signingKey);
+    status.pending.signatures.map((s) => s.id).should.deep.equal([u2.id]);
+
+    // other recoveries can not replace the pending one
+    const otherOp = Object.assign({}, op, { signingKey: u9.signingKey });
+    resp = request.post(`${baseUrl}/recovery/${u1.id}`, {
+      body: {
+        signingKey: u9.signingKey,
+        timestamp,
+        signer: u3.id,
+        sig: uInt8ArrayToB64(
+          Object.values(
+            nacl.sign.detached(
+              strToUint8Array(getMessage(otherOp)),
+              u3.secretKey
+            )
+          )
+        ),
+      },
+      json: true,
+    });
+    resp.status.should.equal(403);
+    resp.json.errorNum.should.equal(errors.RECOVERY_IN_PROGRESS);
+    recoveriesColl.document(u1.id).signingKey.should.equal(u8.signingKey);
+
+    resp = request.post(`${baseUrl}/recovery/${u1.id}/signatures`, {
+      body: { signer: u4.id, sig: sign(u4) },
+      json: true,
+    });
+    resp.json.errorNum.should.equal(errors.NOT_RECOVERY_CONNECTIONS);
+    resp = request.post(`${baseUrl}/recovery/${u1.id}/signatures`, {
+      body: { signer: u3.id, sig: sign(u2) },
+      json: true,
+    });
+    resp.json.errorNum.should.equal(errors.INVALID_SIGNATURE);
+    // the operation is submitted when the required signatures are collected
+    resp = request.post(`${baseUrl}/recovery/${u1.id}/signatures`, {
+      body: { signer: u3.id, sig: sign(u3) },
+      json: true,
+    });
+    resp.status.should.equal(200);
+    resp.json.data.hash.should.equal(hash(message));
+    should.not.exist(resp.json.data.pending);
+    operationsColl.document(hash(message)).state.should.equal("init");
+  });
+
+  it("should delay social recoveries and allow vetoing them", function () {
+    const signedOp = (op, ...signers) => {
+      const message = getMessage(op);
+      const sigs = signers.map((u) =>
+        uInt8ArrayToB64(
+          Object.values(
+            nacl.sign.detached(strToUint8Array(message), u.secretKey)
+          )
+        )
+      );
+      if (op.name == "Social Recovery") {
+        sigs.forEach((sig, i) => (op[`sig${i + 1}`] = sig));
+      } else {
+        op.sig = sigs[0];
+      }
+      return op;
+    };
+    const recoveryDelay = 24 * 60 * 60 * 1000;
+    apply(
+      signedOp(
+        {
+          v: 6,
+          name: "Set Recovery Delay",
+          id: u1.id,
+          recoveryDelay,
+          timestamp: Date.now(),
+        },
+        u1
+      )
+    );
+    let user = usersColl.document(u1.id);
+    user.recoveryDelay.should.equal(0);
+    user.nextRecoveryDelay.should.equal(recoveryDelay);
+    user.recoveryDelaySetAfter.should.be.above(
+      Date.now() + 6 * 24 * 60 * 60 * 1000
+    );
+    // increasing the delay takes effect after 7 days so we put it manually for test
+    usersColl.update(u1.id, { recoveryDelaySetAfter: Date.now() });
+    const recover = (signingKey) =>
+      apply(
+        signedOp(
+          {
+            v: 6,
+            name: "Social Recovery",
+            id: u1.id,
+            id1: u2.id,
+            id2: u3.id,
+            signingKey,
+            timestamp: Date.now(),
+          },
+          u2,
+          u3
+        )
+      );
+
+    recover(u10.signingKey);
+    user = usersColl.document(u1.id);
+    user.signingKeys.should.deep.equal([u7.signingKey]);
+    user.delayedRecovery.signingKey.should.equal(u10.signingKey);
+    apply(
+      signedOp(
+        { v: 6, name: "Veto Recovery", id: u1.id, timestamp: Date.now() },
+        u1
+      )
+    );
+    should.not.exist(usersColl.document(u1.id).delayedRecovery);
+
+    recover(u9.signingKey);
+    const { executeAfter } = usersColl.document(u1.id).delayedRecovery;
+    executeAfter.should.be.at.least(Date.now() + recoveryDelay - 60 * 1000);
+    db.executeDelayedRecoveries(executeAfter - 1);
+    usersColl.document(u1.id).signingKeys.should.deep.equal([u7.signingKey]);
+
+    // a due recovery is in effect before the next operation executes it
+    usersColl.update(u1.id, {
+      delayedRecovery: { executeAfter: Date.now() - 1 },
+    });
+    const resp = request.get(`${baseUrl}/users/${u1.id}/recovery`, {
+      json: true,
+    });
+    should.not.exist(resp.json.data.delayedRecovery);
+    db.userSigningKeys(u1.id)
+      .map((k) => k.signingKey)
+      .should.deep.equal([u9.signingKey]);
+    u1.secretKey = u9.secretKey;
+
+    apply(
+      signedOp(
+        {
+          v: 6,
+          name: "Set Recovery Delay",
+          id: u1.id,
+          recoveryDelay: 0,
+          timestamp: Date.now(),
+        },
+        u1
+      )
+    );
+    user = usersColl.document(u1.id);
+    user.signingKeys.should.deep.equal([u9.signingKey]);
+    should.not.exist(user.delayedRecovery);
+    user.recoveryDelay.should.equal(0);
+  });
+
   it('should be able to "Set Required Recovery Num"', function () {
     connect(u8, u1, "already known");
     connect(u1, u8, "recovery");
@@ -473,13 +709,14 @@ describe("operations", function () {
   });
 
   it('should be able to "Add Signing Key"', function () {
-    const addSigningKey = (u, signingKey) => {
+    const addSigningKey = (u, signingKey, label) => {
       const timestamp = Date.now();
       const op = {
         v: 6,
         id: u.id,
         name: "Add Signing Key",
         signingKey,
+        label,
         timestamp,
       };
       const message = getMessage(op);
@@ -489,7 +726,7 @@ describe("operations", function () {
       apply(op);
     };
     addSigningKey(u2, u5.signingKey);
-    addSigningKey(u2, u6.signingKey);
+    addSigningKey(u2, u6.signingKey, "laptop");
     usersColl
       .document(u2.id)
       .signingKeys.should.deep.equal([
@@ -539,6 +776,38 @@ describe("operations", function () {
       .level.should.equal("reported");
   });
 
+  it("should be able to get the signing keys of a user with their metadata", function () {
+    // submitting an operation does not mark its key as used before it is applied
+    const timestamp = Date.now() + 1000;
+    const op = {
+      v: 6,
+      name: "Connect",
+      id1: u2.id,
+      id2: u4.id,
+      level: "just met",
+      timestamp,
+    };
+    const message = getMessage(op);
+    op.sig1 = uInt8ArrayToB64(
+      Object.values(nacl.sign.detached(strToUint8Array(message), u6.secretKey))
+    );
+    request
+      .post(`${baseUrl}/operations`, { body: op, json: true })
+      .status.should.equal(200);
+    const resp = request.get(`${baseUrl}/users/${u2.id}/signingKeys`, {
+      json: true,
+    });
+    resp.status.should.equal(200);
+    const [first, second] = resp.json.data.signingKeys;
+    first.signingKey.should.equal(u2.signingKey);
+    should.not.exist(first.label);
+    should.exist(first.addedAt);
+    second.signingKey.should.equal(u6.signingKey);
+    second.label.should.equal("laptop");
+    second.lastUsed.should.be.at.least(second.addedAt);
+    second.lastUsed.should.be.below(timestamp);
+  });
+
   it('should be able to "Remove All Signing Keys"', function () {
     const timestamp = Date.now();
     const op = {
@@ -555,6 +824,334 @@ describe("operations", function () {
     usersColl.document(u2.id).signingKeys.should.deep.equal([u6.signingKey]);
   });
 
+  it('should be able to "Rate" honesty of another user', function () {
+    const rate = (honesty) => {
+      const op = {
+        v: 6,
+        name: "Rate",
+        rater: u3.id,
+        ratee: u4.id,
+        honesty,
+        confidence: 2,
+        timestamp: Date.now(),
+      };
+      const message = getMessage(op);
+      op.sig = uInt8ArrayToB64(
+        Object.values(
+          nacl.sign.detached(strToUint8Array(message), u3.secretKey)
+        )
+      );
+      apply(op);
+    };
+    rate(3);
+    rate(-2);
+    const rating = honestyColl.firstExample({
+      _from: "users/" + u3.id,
+      _to: "users/" + u4.id,
+    });
+    rating.honesty.should.equal(-2);
+    rating.confidence.should.equal(2);
+    const resp = request.get(`${baseUrl}/users/${u4.id}/ratings`);
+    resp.json.data.ratings.map((r) => r.honesty).should.deep.equal([3, -2]);
+  });
+
+  it('should not be able to "Rate" more users than allowed in 72 hours', function () {
+    const timestamp = Date.now();
+    for (let i = 0; i < 18; i++) {
+      honestyColl.insert({
+        _from: "users/" + u5.id,
+        _to: "users/dummy" + i,
+        honesty: 1,
+        confidence: 1,
+        timestamp,
+        modified: new Date(timestamp).toISOString(),
+      });
+    }
+    (() => {
+      db.rate(u5.id, u4.id, 1, 1, timestamp);
+    }).should.throw(errors.TooManyRatingsError);
+  });
+
+  it('should be able to "Set Energy Allocation" to connections', function () {
+    const op = {
+      v: 6,
+      name: "Set Energy Allocation",
+      id: u3.id,
+      allocations: [
+        { id: u1.id, allocation: 60 },
+        { id: u4.id, allocation: 40 },
+      ],
+      timestamp: Date.now(),
+    };
+    const message = getMessage(op);
+    op.sig = uInt8ArrayToB64(
+      Object.values(nacl.sign.detached(strToUint8Array(message), u3.secretKey))
+    );
+    apply(op);
+    const resp = request.get(`${baseUrl}/users/${u4.id}/energyAllocation`);
+    resp.json.data.inbound.length.should.equal(1);
+    resp.json.data.inbound[0].id.should.equal(u3.id);
+    resp.json.data.inbound[0].allocation.should.equal(40);
+  });
+
+  it('should not be able to "Set Energy Allocation" to non-connections, untrusted connections or above 100 percent', function () {
+    (() => {
+      db.setEnergyAllocation(
+        u3.id,
+        [{ id: u9.id, allocation: 10 }],
+        Date.now()
+      );
+    }).should.throw(errors.NotConnectedError);
+    db.connect({
+      id1: u3.id,
+      id2: u9.id,
+      level: "suspicious",
+      timestamp: Date.now(),
+    });
+    (() => {
+      db.setEnergyAllocation(
+        u3.id,
+        [{ id: u9.id, allocation: 10 }],
+        Date.now()
+      );
+    }).should.throw(errors.InvalidEnergyAllocationError);
+    connectionsColl.removeByExample({
+      _from: "users/" + u3.id,
+      _to: "users/" + u9.id,
+    });
+    (() => {
+      db.setEnergyAllocation(
+        u3.id,
+        [
+          { id: u1.id, allocation: 60 },
+          { id: u4.id, allocation: 50 },
+        ],
+        Date.now()
+      );
+    }).should.throw(errors.InvalidEnergyAllocationError);
+    db.userEnergyAllocation(u3.id).length.should.equal(2);
+  });
+
+  it("should be able to add a batch of operations", function () {
+    const ops = [
+      [u5, u6],
+      [u6, u5],
+    ].map(([u, other]) => {
+      const op = {
+        v: 6,
+        name: "Connect",
+        id1: u.id,
+        id2: other.id,
+        level: "just met",
+        timestamp: Date.now(),
+      };
+      const message = getMessage(op);
+      op.sig1 = uInt8ArrayToB64(
+        Object.values(nacl.sign.detached(strToUint8Array(message), u.secretKey))
+      );
+      return op;
+    });
+    const resp = request.post(`${baseUrl}/operations/batch`, {
+      body: { operations: ops },
+      json: true,
+    });
+    resp.status.should.equal(200);
+    resp.json.data.results.length.should.equal(2);
+    resp.json.data.results.forEach((result, i) => {
+      result.queued.should.equal(true);
+      result.hash.should.equal(hash(getMessage(ops[i])));
+      operationsColl.document(result.hash).state.should.equal("init");
+    });
+  });
+
+  it("should not add any operation of an atomic batch if one of them fails", function () {
+    const op1 = {
+      v: 6,
+      name: "Connect",
+      id1: u5.id,
+      id2: u7.id,
+      level: "just met",
+      timestamp: Date.now(),
+    };
+    op1.sig1 = uInt8ArrayToB64(
+      Object.values(
+        nacl.sign.detached(strToUint8Array(getMessage(op1)), u5.secretKey)
+      )
+    );
+    const op2 = Object.assign({}, op1, { id1: u7.id, id2: u5.id });
+    const resp = request.post(`${baseUrl}/operations/batch`, {
+      body: { operations: [op1, op2], atomic: true },
+      json: true,
+    });
+    resp.status.should.equal(200);
+    const [r1, r2] = resp.json.data.results;
+    r1.queued.should.equal(false);
+    should.not.exist(r1.error);
+    r2.queued.should.equal(false);
+    r2.error.errorNum.should.equal(errors.INVALID_SIGNATURE);
+    operationsColl.exists(r1.hash).should.equal(false);
+  });
+
+  it("should be able to validate an operation without applying it", function () {
+    const op = {
+      v: 6,
+      name: "Connect",
+      id1: u4.id,
+      id2: u9.id,
+      level: "recovery",
+      timestamp: Date.now(),
+    };
+    const message = getMessage(op);
+    op.sig1 = uInt8ArrayToB64(
+      Object.values(nacl.sign.detached(strToUint8Array(message), u4.secretKey))
+    );
+    let resp = request.post(`${baseUrl}/operations/validate`, {
+      body: op,
+      json: true,
+    });
+    resp.status.should.equal(200);
+    resp.json.data.valid.should.equal(false);
+    resp.json.data.error.errorNum.should.equal(
+      errors.INELIGIBLE_RECOVERY_CONNECTION
+    );
+
+    op.level = "just met";
+    op.sig1 = uInt8ArrayToB64(
+      Object.values(
+        nacl.sign.detached(strToUint8Array(getMessage(op)), u4.secretKey)
+      )
+    );
+    resp = request.post(`${baseUrl}/operations/validate`, {
+      body: op,
+      json: true,
+    });
+    resp.json.data.valid.should.equal(true);
+    operationsColl.exists(resp.json.data.hash).should.equal(false);
+    should.not.exist(
+      connectionsColl.firstExample({
+        _from: "users/" + u4.id,
+        _to: "users/" + u9.id,
+      })
+    );
+  });
+
+  it("should be able to list operations of a user with their state transitions", function () {
+    const resp = request.get(`${baseUrl}/users/${u3.id}/operations`, {
+      qs: { name: "Rate", state: "applied" },
+      json: true,
+    });
+    resp.status.should.equal(200);
+    const ops = resp.json.data.operations;
+    ops.length.should.equal(2);
+    ops.forEach((op) => {
+      op.name.should.equal("Rate");
+      op.stateHistory
+        .map((t) => t.state)
+        .should.deep.equal(["init", "applied"]);
+    });
+    // apps are the senders of sponsorship operations
+    request
+      .get(`${baseUrl}/users/${u3.id}/operations`, {
+        qs: { name: "Sponsor" },
+        json: true,
+      })
+      .status.should.equal(400);
+  });
+
+  it("should be able to cancel an operation before it is sent to consensus", function () {
+    const op = operationsColl.firstExample({
+      name: "Connect",
+      id1: u5.id,
+      state: "init",
+    });
+    const bucket = operationCountersColl.document("shared");
+    const cancel = (secretKey) =>
+      request.delete(`${baseUrl}/operations/${op.hash}`, {
+        body: {
+          sig: uInt8ArrayToB64(
+            Object.values(
+              nacl.sign.detached(
+                strToUint8Array(getCancelMessage(op.hash)),
+                secretKey
+              )
+            )
+          ),
+        },
+        json: true,
+      });
+
+    let resp = cancel(u6.secretKey);
+    resp.status.should.equal(401);
+    resp.json.errorNum.should.equal(errors.INVALID_SIGNATURE);
+
+    operationCountersColl
+      .document(`op:${op.hash}`)
+      .counterKey.should.equal("shared");
+    resp = cancel(u5.secretKey);
+    resp.status.should.equal(200);
+    operationsColl.document(op.hash).state.should.equal("cancelled");
+    operationCountersColl
+      .document("shared")
+      .counter.should.equal(bucket.counter - 1);
+    operationCountersColl.exists(`op:${op.hash}`).should.equal(false);
+
+    resp = cancel(u5.secretKey);
+    resp.status.should.equal(403);
+    resp.json.errorNum.should.equal(errors.NOT_CANCELLABLE_OPERATION);
+  });
+
+  it("should not cancel operations that the sender claimed", function () {
+    const timestamp = Date.now();
+    const op = {
+      v: 6,
+      name: "Connect",
+      id1: u5.id,
+      id2: u3.id,
+      level: "just met",
+      timestamp,
+    };
+    const message = getMessage(op);
+    op.sig1 = uInt8ArrayToB64(
+      Object.values(nacl.sign.detached(strToUint8Array(message), u5.secretKey))
+    );
+    let resp = request.post(`${baseUrl}/operations`, { body: op, json: true });
+    resp.status.should.equal(200);
+    const h = resp.json.data.hash;
+    operationsColl.update(h, { state: "sending" });
+    const counter = operationCountersColl.document("shared").counter;
+
+    resp = request.delete(`${baseUrl}/operations/${h}`, {
+      body: {
+        sig: uInt8ArrayToB64(
+          Object.values(
+            nacl.sign.detached(
+              strToUint8Array(getCancelMessage(h)),
+              u5.secretKey
+            )
+          )
+        ),
+      },
+      json: true,
+    });
+    resp.status.should.equal(403);
+    resp.json.errorNum.should.equal(errors.NOT_CANCELLABLE_OPERATION);
+    operationsColl.document(h).state.should.equal("sending");
+    operationCountersColl.document("shared").counter.should.equal(counter);
+  });
+
+  it("should be able to get the rate limit status of users and apps", function () {
+    let resp = request.get(`${baseUrl}/users/${u5.id}/limits`, { json: true });
+    resp.status.should.equal(200);
+    resp.json.data.bucket.should.equal("shared");
+    resp.json.data.counter.should.equal(
+      operationCountersColl.document("shared").counter
+    );
+
+    resp = request.get(`${baseUrl}/apps/idchain/limits`, { json: true });
+    resp.status.should.equal(200);
+    resp.json.data.bucket.should.equal("idchain");
+  });
+
   describe("family groups", function () {
     before(function () {
       usersColl.truncate();
@@ -86,6 +86,8 @@ describe("replay attack on operations", function () {
     delete op._key;
     delete op.hash;
     delete op.state;
+    delete op.stateHistory;
+    delete op.sender;
     op.blockTime = op.timestamp;
     const resp2 = request.put(`${applyBaseUrl}/operations/${h}`, {
       body: op,
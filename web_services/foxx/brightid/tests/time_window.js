@@ -73,4 +73,41 @@ describe("time window", function () {
       operations.checkLimits({ name: "Sponsor", app: "app1" }, 100, 2);
     }).should.throw(errors.TooManyOperationsError);
   });
+  it("operations with separately configured limits should be counted separately", function () {
+    operations.checkLimits({ name: "Invite", inviter: "a" }, 100, 1, "Invite");
+    (() => {
+      operations.checkLimits(
+        { name: "Invite", inviter: "a" },
+        100,
+        1,
+        "Invite"
+      );
+    }).should.throw(errors.TooManyOperationsError);
+    operationCountersColl.document("a:Invite").counter.should.equal(2);
+  });
+  it("operations limits configured in the manifest should default the missing fields", function () {
+    const conf = module.context.configuration;
+    const operationsLimits = conf.operationsLimits;
+    conf.operationsLimits = {
+      "Add Group": { timeWindow: 100 },
+      Invite: { limit: 1 },
+    };
+    try {
+      operations.getLimitConfig("Add Group").should.deep.equal({
+        category: "AddGroup",
+        limit: conf.operationsLimit,
+        timeWindow: 100000,
+      });
+      const { timeWindow, limit, category } =
+        operations.getLimitConfig("Invite");
+      timeWindow.should.equal(conf.operationsTimeWindow * 1000);
+      const op = { name: "Invite", inviter: "b" };
+      operations.checkLimits(op, timeWindow, limit, category);
+      (() => {
+        operations.checkLimits(op, timeWindow, limit, category);
+      }).should.throw(errors.TooManyOperationsError);
+    } finally {
+      conf.operationsLimits = operationsLimits;
+    }
+  });
 });
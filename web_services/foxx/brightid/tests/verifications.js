@@ -30,6 +30,8 @@ const sponsorshipsColl = arango._collection("sponsorships");
 const verificationsColl = arango._collection("verifications");
 const cachedParamsColl = arango._collection("cachedParams");
 const appIdsColl = arango._collection("appIds");
+const energyColl = arango._collection("energy");
+const energyFlowColl = arango._collection("energyFlow");
 
 const u1 = nacl.sign.keyPair();
 u1.signingKey = uInt8ArrayToB64(Object.values(u1.publicKey));
@@ -86,6 +88,28 @@ describe("verifications", function () {
       rank: 3,
       block,
     });
+    verificationsColl.insert({
+      name: "Aura",
+      user: u1.id,
+      score: 2500000,
+      level: "Silver",
+      block,
+    });
+    energyColl.truncate();
+    energyFlowColl.truncate();
+    energyColl.insert({ _key: u1.id, energy: 300 });
+    energyFlowColl.insert({
+      _from: `users/${u2.id}`,
+      _to: `users/${u1.id}`,
+      energy: 200,
+      timestamp: 1,
+    });
+    energyFlowColl.insert({
+      _from: `users/${u2.id}`,
+      _to: `users/${u1.id}`,
+      energy: 300,
+      timestamp: 2,
+    });
   });
 
   after(function () {
@@ -94,6 +118,18 @@ describe("verifications", function () {
     sponsorshipsColl.truncate();
     cachedParamsColl.truncate();
     appIdsColl.truncate();
+    energyColl.truncate();
+    energyFlowColl.truncate();
+  });
+
+  it("should be able to get Aura level, energy and contributors of a user", function () {
+    const resp = request.get(`${baseUrl}/users/${u1.id}/aura`, {
+      json: true,
+    });
+    resp.status.should.equal(200);
+    resp.json.data.level.should.equal("Silver");
+    resp.json.data.energy.should.equal(300);
+    resp.json.data.contributors.should.deep.equal([{ id: u2.id, energy: 300 }]);
   });
 
   it("should not be able to get WI-Schnorr server response for unverified users", function () {
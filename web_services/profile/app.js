@@ -1,5 +1,6 @@
 // app.js
 const express = require("express");
+const axios = require("axios");
 const sizeof = require("object-sizeof");
 const app = express();
 const NodeCache = require("node-cache");
@@ -260,6 +261,75 @@ app.get("/list/:channelId", function (req, res, next) {
   });
 });
 
+/**
+ * Long-poll of operation states. The node api can not hold requests without
+ * blocking the V8 contexts that apply operations, so the state is polled here
+ **/
+const operationStates = ["sent", "applied", "failed"];
+const finalStates = ["applied", "failed", "cancelled"];
+let operationWaiters = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getOperation = (hash) =>
+  axios.get(`${config.node_api}/operations/${encodeURIComponent(hash)}`, {
+    validateStatus: () => true,
+  });
+
+app.get("/operations/:hash", async function (req, res, next) {
+  const { hash } = req.params;
+  const { waitFor } = req.query;
+  const timeout = Number(req.query.timeout || config.max_operation_wait);
+
+  if (!operationStates.includes(waitFor)) {
+    res
+      .status(400)
+      .json({ error: `waitFor should be one of ${operationStates.join(", ")}` });
+    return;
+  }
+  if (
+    !Number.isInteger(timeout) ||
+    timeout < 1 ||
+    timeout > config.max_operation_wait
+  ) {
+    res.status(400).json({
+      error: `timeout should be between 1 and ${config.max_operation_wait} seconds`,
+    });
+    return;
+  }
+  if (operationWaiters >= config.max_operation_waiters) {
+    res.status(503).json({ error: "too many requests wait for operations" });
+    return;
+  }
+
+  // stop polling when the client does not wait anymore
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+  operationWaiters += 1;
+  try {
+    const deadline = Date.now() + timeout * 1000;
+    const finished = (op) => [waitFor, ...finalStates].includes(op.state);
+    let resp = await getOperation(hash);
+    while (
+      resp.status == 200 &&
+      !finished(resp.data.data) &&
+      !closed &&
+      Date.now() < deadline
+    ) {
+      await sleep(config.operation_poll_interval);
+      resp = await getOperation(hash);
+    }
+    res.status(resp.status).json(resp.data);
+  } catch (e) {
+    console.log(e);
+    res.status(502).json({ error: "unable to get the operation from the node" });
+  } finally {
+    operationWaiters -= 1;
+  }
+});
+
 /**
  * Legacy methods for upload/download without using channels below
  **/
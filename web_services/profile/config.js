@@ -33,6 +33,14 @@ const channel_max_size_bytes = is_test
   ? 1024 // 1 kb when running jest tests
   : 1024 * 1024 * 20; // 20 MegaByte normally
 
+/* Node api that the state of operations is long-polled from */
+const node_api = `${process.env.BN_ARANGO_PROTOCOL || "http"}://${
+  process.env.BN_ARANGO_HOST || "localhost"
+}:${process.env.BN_ARANGO_PORT || 8529}/_db/_system/brightid6`;
+const operation_poll_interval = is_test ? 100 : 1000; // milliseconds
+const max_operation_wait = 30; // seconds
+const max_operation_waiters = 500; // limit number of open long-polls
+
 const channel_limit_response_code = 440;
 const channel_limit_message = "Channel full";
 const channel_expires_header = "x-expires";
@@ -51,4 +59,8 @@ module.exports = {
   maxTTL,
   defaultTTL,
   TTLExtension,
+  node_api,
+  operation_poll_interval,
+  max_operation_wait,
+  max_operation_waiters,
 };
@@ -0,0 +1,70 @@
+const request = require('supertest')
+const axios = require('axios')
+const app = require('../app')
+
+jest.mock('axios')
+
+const operation = (state) => ({
+    status: 200,
+    data: { data: { state, stateHistory: [] } },
+})
+
+describe('operation long-poll', () => {
+
+    beforeEach(() => {
+        axios.get.mockReset()
+    })
+
+    it('should wait until the operation gets into the requested state', async () => {
+        axios.get
+        .mockResolvedValueOnce(operation('init'))
+        .mockResolvedValueOnce(operation('sent'))
+        .mockResolvedValue(operation('applied'))
+        const res = await request(app)
+        .get('/operations/hash1?waitFor=applied&timeout=5')
+        .expect(200)
+        expect(res.body.data.state).toEqual('applied')
+        expect(axios.get).toHaveBeenCalledTimes(3)
+    })
+
+    it('should stop waiting when the operation reaches a final state', async () => {
+        axios.get.mockResolvedValue(operation('cancelled'))
+        const res = await request(app)
+        .get('/operations/hash1?waitFor=applied')
+        .expect(200)
+        expect(res.body.data.state).toEqual('cancelled')
+        expect(axios.get).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return the current state when the timeout is reached', async () => {
+        axios.get.mockResolvedValue(operation('init'))
+        const start = Date.now()
+        const res = await request(app)
+        .get('/operations/hash1?waitFor=applied&timeout=1')
+        .expect(200)
+        expect(res.body.data.state).toEqual('init')
+        expect(Date.now() - start).toBeGreaterThanOrEqual(1000)
+    })
+
+    it('should not wait for operations that do not exist', async () => {
+        axios.get.mockResolvedValue({
+            status: 404,
+            data: { code: 404, errorMessage: 'Operation not found' },
+        })
+        await request(app)
+        .get('/operations/unknown?waitFor=applied')
+        .expect(404)
+        expect(axios.get).toHaveBeenCalledTimes(1)
+    })
+
+    it('should reject unknown states and too long timeouts', async () => {
+        await request(app)
+        .get('/operations/hash1?waitFor=init')
+        .expect(400)
+        await request(app)
+        .get('/operations/hash1?waitFor=applied&timeout=60')
+        .expect(400)
+        expect(axios.get).not.toHaveBeenCalled()
+    })
+
+})